@@ -11,6 +11,8 @@ dotenv.config();
 
 export default {
   port: parseInt(process.env.PORT || "3000", 10),
+  // Max time in ms to wait for open HTTP requests when shutting down
+  shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT || "10000", 10),
   nodeEnv: process.env.NODE_ENV || "development",
   isProduction: process.env.NODE_ENV === "production",
   isTest: process.env.NODE_ENV === "test",
@@ -5,14 +5,16 @@
  * and delegates business logic to appropriate services.
  */
 import dotenv from "dotenv";
-import { Consumer } from "./rabbitmq/index.js";
-import { Message } from "./models/index.js";
+import { Consumer, MessageRouter, connectionManager, logMessages } from "./rabbitmq/index.js";
 import logger from "./config/logger.js";
 import NotificationService from "./services/notification_service.js";
 
 // Load environment variables
 dotenv.config();
 
+// How often to log in-flight metrics while consuming
+const STATS_INTERVAL = parseInt(process.env.CONSUMER_STATS_INTERVAL || "30000", 10);
+
 /**
  * MessageProcessor
  *
@@ -22,7 +24,18 @@ dotenv.config();
 class MessageProcessor {
   constructor() {
     this.notificationService = NotificationService;
-    this.consumer = new Consumer();
+    // Prefetch and concurrency come from RABBITMQ_PREFETCH / RABBITMQ_CONSUMER_CONCURRENCY,
+    // delayed retries and deduplication from RABBITMQ_RETRY_ENABLED / RABBITMQ_DEDUP_ENABLED.
+    // The processor has its own queue; the notification service consumes another one
+    this.consumer = new Consumer({ service: "message-processor" }).use(
+      logMessages("Message processor")
+    );
+    this.statsTimer = null;
+
+    // Register a handler per message type here as new events are added
+    this.router = new MessageRouter().on("user.registered", (message) =>
+      this.handleUserRegistered(message.data)
+    );
   }
 
   /**
@@ -43,6 +56,8 @@ class MessageProcessor {
     await this.consumer.consume(this.handleMessage.bind(this));
     logger.info("Consumer is running. Press Ctrl+C to exit.");
 
+    this.statsTimer = setInterval(() => this.logStats(), STATS_INTERVAL);
+
     // Keep the process running
     process.stdin.resume();
   }
@@ -52,35 +67,18 @@ class MessageProcessor {
    *
    * @param {Object|string} content - Message content
    * @param {Object} originalMessage - Original amqplib message
+   * @param {Object} ctx - Consumer context carrying the handler timeout signal
    */
-  async handleMessage(content, originalMessage) {
-    try {
-      // Parse message content if needed
-      const message = content instanceof Message ? content : Message.fromJSON(content);
-
-      logger.info(`Processing message: ${message.id} (${message.type})`);
-
-      // Route message to appropriate handler based on type
-      switch (message.type) {
-        case "user.registered":
-          await this.handleUserRegistered(message.data);
-          break;
-
-        // Handle other message types here
-
-        default:
-          logger.warn(`Unhandled message type: ${message.type}`);
-          break;
-      }
-    } catch (error) {
-      logger.error(`Failed to process message: ${error.message}`);
-      // In production, you might want to move the message to a DLQ (Dead Letter Queue)
-    }
+  async handleMessage(content, originalMessage, ctx) {
+    // Errors propagate so the consumer schedules a delayed retry
+    await this.router.route(content, originalMessage, ctx);
   }
 
   /**
    * Handle user registration event
-   * Delegates to appropriate services based on business requirements
+   *
+   * The welcome email is sent by the notification service, which receives
+   * its own copy of the message on its own queue.
    *
    * @param {Object} userData - User registration data
    */
@@ -91,9 +89,6 @@ class MessageProcessor {
       // Log registration details
       this.logRegistrationDetails(userData);
 
-      // Send welcome email via notification service
-      await this.notificationService.handleUserRegistration(userData);
-
       // In a real application, you might also:
       // - Create user resources in other systems
       // - Add the user to marketing campaigns
@@ -102,6 +97,7 @@ class MessageProcessor {
       logger.info(`User registration processed successfully: ${userData.id}`);
     } catch (error) {
       logger.error(`Error processing user registration: ${error.message}`);
+      throw error;
     }
   }
 
@@ -121,16 +117,37 @@ class MessageProcessor {
     logger.info("----------------------------------------");
   }
 
+  /**
+   * Log in-flight and throughput metrics for the consumer
+   */
+  logStats() {
+    const stats = this.consumer.getStats();
+
+    logger.info(
+      `Consumer '${stats.queue}': in flight=${stats.inFlight}/${stats.concurrency}, ` +
+        `waiting=${stats.waiting}, prefetch=${stats.prefetch || "unlimited"}, ` +
+        `completed=${stats.completed}, handler errors=${stats.handlerErrors}, timeouts=${stats.handlerTimeouts}, max in flight=${stats.maxInFlight}`
+    );
+
+    if (stats.dedup) {
+      logger.info(
+        `Deduplication: processed=${stats.dedup.processed}, duplicates skipped=${stats.dedup.duplicates}`
+      );
+    }
+  }
+
   /**
    * Gracefully shut down the processor
    */
   async shutdown() {
     logger.info("Shutting down message processor...");
+    clearInterval(this.statsTimer);
+    this.logStats();
 
     try {
-      // Close all service connections
-      await this.notificationService.close();
-      await this.consumer.close();
+      // Drain all service consumers together, then close the shared connections
+      await Promise.all([this.notificationService.close(), this.consumer.close()]);
+      await connectionManager.closeAll();
 
       logger.info("Message processor shut down successfully");
     } catch (error) {
@@ -151,7 +168,14 @@ async function main() {
     await processor.startProcessing();
 
     // Setup graceful shutdown
+    let shuttingDown = false;
     const shutdownGracefully = async () => {
+      // A second Ctrl+C while draining should not start another shutdown
+      if (shuttingDown) {
+        return;
+      }
+
+      shuttingDown = true;
       await processor.shutdown();
       process.exit(0);
     };
@@ -0,0 +1,79 @@
+/**
+ * Dead Letter Controller
+ *
+ * This controller handles HTTP requests for inspecting and recovering
+ * dead-lettered messages.
+ */
+import { deadLetterService } from "../services/index.js";
+import { asyncHandler, ValidationError } from "../utils/errors.js";
+
+/**
+ * List dead-lettered messages
+ */
+export const listDeadLetters = asyncHandler(async (req, res) => {
+  let limit;
+
+  if (req.query.limit !== undefined) {
+    limit = parseInt(req.query.limit, 10);
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError("limit must be a positive integer");
+    }
+  }
+
+  const messages = await deadLetterService.list(limit);
+
+  res.status(200).json({
+    success: true,
+    count: messages.length,
+    data: messages,
+  });
+});
+
+/**
+ * Get a dead-lettered message by message ID
+ */
+export const getDeadLetter = asyncHandler(async (req, res) => {
+  const message = await deadLetterService.getById(req.params.messageId);
+
+  res.status(200).json({
+    success: true,
+    data: message,
+  });
+});
+
+/**
+ * Replay a dead-lettered message to the queue it failed in
+ */
+export const replayDeadLetter = asyncHandler(async (req, res) => {
+  const result = await deadLetterService.replay(req.params.messageId);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Replay all dead-lettered messages
+ */
+export const replayAllDeadLetters = asyncHandler(async (req, res) => {
+  const result = await deadLetterService.replayAll();
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Purge the dead-letter queue
+ */
+export const purgeDeadLetters = asyncHandler(async (req, res) => {
+  const result = await deadLetterService.purge();
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
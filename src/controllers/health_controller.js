@@ -0,0 +1,30 @@
+/**
+ * Health Controller
+ *
+ * This controller reports the health of the application and its
+ * RabbitMQ connections.
+ */
+import { connectionManager } from "../rabbitmq/index.js";
+import { getSpoolStats } from "../rabbitmq/publish_spool.js";
+import { asyncHandler } from "../utils/errors.js";
+
+/**
+ * Get application health, including RabbitMQ connection and flow control state
+ * and the depth of publish spools
+ */
+export const getHealth = asyncHandler(async (req, res) => {
+  const connections = connectionManager.getStatus();
+  const healthy = connections.every((connection) => connection.connected && !connection.blocked);
+
+  res.status(healthy ? 200 : 503).json({
+    success: healthy,
+    data: {
+      status: healthy ? "ok" : "degraded",
+      uptime: process.uptime(),
+      rabbitmq: {
+        connections,
+        spools: getSpoolStats(),
+      },
+    },
+  });
+});
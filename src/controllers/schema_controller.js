@@ -0,0 +1,37 @@
+/**
+ * Schema Controller
+ *
+ * This controller handles HTTP requests for the message schema registry.
+ */
+import { schemaRegistry } from "../models/index.js";
+import { asyncHandler, NotFoundError } from "../utils/errors.js";
+
+/**
+ * List all registered message schemas
+ */
+export const listSchemas = asyncHandler(async (req, res) => {
+  const schemas = schemaRegistry.list();
+
+  res.status(200).json({
+    success: true,
+    count: schemas.length,
+    data: schemas,
+  });
+});
+
+/**
+ * Get the schema for a message type
+ */
+export const getSchema = asyncHandler(async (req, res) => {
+  const { type } = req.params;
+  const schema = schemaRegistry.get(type);
+
+  if (!schema) {
+    throw new NotFoundError(`Schema for message type '${type}'`);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { type, schema },
+  });
+});
@@ -8,9 +8,14 @@ import app from "./app.js";
 import { serverConfig } from "./config/index.js";
 import logger from "./config/logger.js";
 import { userService } from "./services/index.js";
+import { connectionManager } from "./rabbitmq/index.js";
+import { settleWithin } from "./utils/async.js";
 import fs from "fs";
 import path from "path";
 
+let server = null;
+let shuttingDown = false;
+
 // Ensure logs directory exists
 const logDir = path.resolve("./logs");
 if (!fs.existsSync(logDir)) {
@@ -23,8 +28,12 @@ if (!fs.existsSync(logDir)) {
 async function initializeServices() {
   try {
     // Initialize user service (and RabbitMQ connections)
-    await userService.initialize();
-    logger.info("Services initialized successfully");
+    if (await userService.initialize()) {
+      logger.info("Services initialized successfully");
+    } else {
+      // Serve the API anyway; events wait in the outbox (and publish spool) until reconnect
+      logger.warn("Services initialized in degraded mode: RabbitMQ is unreachable, reconnecting");
+    }
   } catch (error) {
     logger.error(`Failed to initialize services: ${error.message}`);
     process.exit(1);
@@ -38,7 +47,7 @@ async function startServer() {
   try {
     const PORT = serverConfig.port;
 
-    app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
       logger.info(`Server running in ${serverConfig.nodeEnv} mode on port ${PORT}`);
       logger.info(`API available at http://localhost:${PORT}/api`);
     });
@@ -48,13 +57,45 @@ async function startServer() {
   }
 }
 
+/**
+ * Stop accepting HTTP connections and wait for open requests to finish
+ * @param {number} timeout - Max wait in ms before dropping remaining connections
+ * @returns {Promise<void>}
+ */
+async function closeServer(timeout) {
+  if (!server) {
+    return;
+  }
+
+  const closed = new Promise((resolve) => server.close(resolve));
+
+  // Keep-alive connections without a request in progress would hold close() open
+  server.closeIdleConnections();
+
+  if (!(await settleWithin(closed, timeout))) {
+    logger.warn(`HTTP requests still open after ${timeout}ms, closing their connections`);
+    server.closeAllConnections();
+  }
+
+  logger.info("HTTP server closed");
+}
+
 // Handle graceful shutdown
 const shutdownGracefully = async () => {
+  if (shuttingDown) {
+    return;
+  }
+
+  shuttingDown = true;
   logger.info("Shutting down gracefully...");
 
   try {
-    // Close service connections
+    // Stop taking requests first so no new publishes start
+    await closeServer(serverConfig.shutdownTimeout);
+
+    // Wait for outstanding publishes, then close the RabbitMQ connections they share
     await userService.close();
+    await connectionManager.closeAll();
     logger.info("All services closed successfully");
     process.exit(0);
   } catch (error) {
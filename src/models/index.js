@@ -5,5 +5,6 @@
  */
 import Message from "./message.js";
 import User from "./user.js";
+import schemaRegistry, { SchemaRegistry } from "./schema_registry.js";
 
-export { Message, User };
+export { Message, User, schemaRegistry, SchemaRegistry };
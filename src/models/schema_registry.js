@@ -0,0 +1,85 @@
+/**
+ * Schema Registry
+ *
+ * This module keeps the JSON Schema for each message type and validates
+ * message data against it. Types without a registered schema are not
+ * validated.
+ */
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import builtInSchemas from "./schemas/index.js";
+
+class SchemaRegistry {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true });
+    addFormats(this.ajv);
+    this.schemas = new Map();
+  }
+
+  /**
+   * Register (or replace) the schema for a message type
+   * @param {string} type - Message type
+   * @param {Object} schema - JSON Schema for the message data
+   * @returns {SchemaRegistry} This registry, for chaining
+   * @throws {Error} If the schema itself is invalid
+   */
+  register(type, schema) {
+    const validate = this.ajv.compile(schema);
+
+    this.schemas.set(type, { schema, validate });
+    return this;
+  }
+
+  /**
+   * Check whether a message type has a schema
+   * @param {string} type - Message type
+   * @returns {boolean} True if a schema is registered
+   */
+  has(type) {
+    return this.schemas.has(type);
+  }
+
+  /**
+   * Get the schema for a message type
+   * @param {string} type - Message type
+   * @returns {Object|null} JSON Schema, or null if none is registered
+   */
+  get(type) {
+    const entry = this.schemas.get(type);
+    return entry ? entry.schema : null;
+  }
+
+  /**
+   * List all registered schemas
+   * @returns {Array<{type: string, schema: Object}>} Registered schemas
+   */
+  list() {
+    return [...this.schemas].map(([type, { schema }]) => ({ type, schema }));
+  }
+
+  /**
+   * Validate message data against the schema for its type
+   * @param {string} type - Message type
+   * @param {*} data - Message data
+   * @returns {{valid: boolean, errors: string[]}} Result with readable error messages
+   */
+  validate(type, data) {
+    const entry = this.schemas.get(type);
+
+    if (!entry || entry.validate(data)) {
+      return { valid: true, errors: [] };
+    }
+
+    return {
+      valid: false,
+      errors: entry.validate.errors.map((error) => `${error.instancePath || "/"} ${error.message}`),
+    };
+  }
+}
+
+const schemaRegistry = new SchemaRegistry();
+
+Object.entries(builtInSchemas).forEach(([type, schema]) => schemaRegistry.register(type, schema));
+
+export { SchemaRegistry };
+export default schemaRegistry;
@@ -0,0 +1,11 @@
+/**
+ * Message Schemas Index
+ *
+ * This module maps message types to the JSON Schema of their data.
+ * Add an entry here when introducing a new message type.
+ */
+import userRegistered from "./user_registered.js";
+
+export default {
+  "user.registered": userRegistered,
+};
@@ -0,0 +1,16 @@
+/**
+ * user.registered Schema
+ *
+ * JSON Schema for the data of a `user.registered` message (User.toJSON()).
+ */
+export default {
+  type: "object",
+  required: ["id", "email", "name"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    email: { type: "string", format: "email" },
+    name: { type: "string", minLength: 2 },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
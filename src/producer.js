@@ -5,7 +5,7 @@
  * to RabbitMQ without the full Express application.
  */
 import dotenv from "dotenv";
-import { Publisher } from "./rabbitmq/index.js";
+import { Publisher, connectionManager } from "./rabbitmq/index.js";
 import { Message, User } from "./models/index.js";
 import logger from "./config/logger.js";
 import { v4 as uuidv4 } from "uuid";
@@ -23,45 +23,69 @@ const sampleUsers = [
 ];
 
 /**
- * Send a user registration message
+ * Create a user registration message
  */
-async function sendUserRegistrationMessage(publisher, userData) {
-  try {
-    // Create user
-    const user = new User(userData.email, userData.name);
-
-    // Add some mock data
-    user.id = uuidv4();
-    user.createdAt = new Date().toISOString();
+function createUserRegistrationMessage(userData) {
+  // Create user
+  const user = new User(userData.email, userData.name);
+
+  // Add some mock data
+  user.id = uuidv4();
+  user.createdAt = new Date().toISOString();
+
+  // Create message with user data
+  return new Message(user.toJSON(), "user.registered", {
+    source: "standalone-producer",
+  });
+}
 
-    logger.info(`Publishing message for user: ${user.email}`);
+/**
+ * Send user registration messages in one batch
+ */
+async function sendUserRegistrationMessages(publisher, users) {
+  const messages = users.map(createUserRegistrationMessage);
 
-    // Create message with user data
-    const message = new Message(user.toJSON(), "user.registered", {
-      source: "standalone-producer",
-    });
+  logger.info(`Publishing ${messages.length} user registration messages...`);
 
-    // Publish the message
-    const result = await publisher.publish(message);
+  const { published, failed, results } = await publisher.publishBatch(messages);
 
-    if (result) {
-      logger.info(`Successfully published message for user: ${user.email}`);
+  results.forEach(({ message, success, error }) => {
+    if (success) {
+      logger.info(`Successfully published message for user: ${message.data.email}`);
     } else {
-      logger.warn(`Failed to publish message for user: ${user.email}`);
+      logger.warn(`Failed to publish message for user: ${message.data.email}: ${error?.message}`);
     }
+  });
 
-    return result;
-  } catch (error) {
-    logger.error(`Error sending user registration message: ${error.message}`);
-    throw error;
+  if (failed > 0) {
+    throw new Error(`${failed} of ${published + failed} messages could not be published`);
   }
 }
 
+/**
+ * Log outbound buffer statistics to show whether the producer outpaced the broker
+ */
+function logBufferStats(publisher) {
+  const stats = publisher.getBufferStats();
+
+  if (!stats) {
+    return;
+  }
+
+  logger.info(
+    `Outbound buffer: depth=${stats.depth}/${stats.maxSize}, buffered=${stats.buffered}, ` +
+      `dropped=${stats.dropped}, rejected=${stats.rejected}, drain waits=${stats.drainWaits}, ` +
+      `avg wait=${stats.avgWaitMs}ms, max wait=${stats.maxWaitMs}ms`
+  );
+}
+
 /**
  * Main function to send several sample messages
  */
 async function main() {
-  const publisher = new Publisher();
+  // Buffer publishes instead of overrunning the channel when the broker is slow,
+  // and wait for the broker to confirm the batch
+  const publisher = new Publisher({ confirm: true, backpressure: { enabled: true } });
 
   try {
     // Initialize publisher
@@ -71,14 +95,10 @@ async function main() {
     // Publish messages for each sample user
     logger.info("Sending sample user registration messages...");
 
-    for (const userData of sampleUsers) {
-      await sendUserRegistrationMessage(publisher, userData);
-
-      // Add a small delay between messages
-      await new Promise((resolve) => setTimeout(resolve, 500));
-    }
+    await sendUserRegistrationMessages(publisher, sampleUsers);
 
     logger.info("All messages sent successfully");
+    logBufferStats(publisher);
   } catch (error) {
     logger.error(`Producer error: ${error.message}`);
     process.exit(1);
@@ -86,6 +106,7 @@ async function main() {
     // Close the publisher
     logger.info("Closing publisher...");
     await publisher.close();
+    await connectionManager.closeAll();
     logger.info("Publisher closed");
   }
 }
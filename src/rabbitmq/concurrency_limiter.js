@@ -0,0 +1,149 @@
+/**
+ * RabbitMQ Concurrency Limiter Module
+ *
+ * This module bounds how many message handlers run at the same time. Tasks
+ * beyond the limit wait in FIFO order and start as soon as a slot frees up.
+ *
+ * Tasks may carry a partition key: tasks sharing a key run one at a time in
+ * the order they were queued, while tasks with different keys run in parallel.
+ * A waiting task whose key is busy lets later tasks with free keys go first.
+ *
+ * A task can keep its slot and key past its own end with hold(promise), e.g.
+ * for work it gave up waiting for but that is still running.
+ */
+
+class ConcurrencyLimiter {
+  /**
+   * Create a new concurrency limiter
+   * @param {number} concurrency - Max number of tasks running at once
+   */
+  constructor(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Concurrency must be a positive integer, got: ${concurrency}`);
+    }
+
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+    // Partition keys of the running tasks
+    this.activeKeys = new Set();
+    this.idleWaiters = [];
+    this.stats = {
+      started: 0,
+      completed: 0,
+      failed: 0,
+      dropped: 0,
+      maxInFlight: 0,
+    };
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - async (hold) => result; hold(promise) keeps the slot and key
+   *   taken until the promise settles, while run() resolves as soon as the task does
+   * @param {string} [key] - Partition key; tasks with the same key never overlap
+   * @returns {Promise<*>} Result of the task, or undefined if it was dropped by clear()
+   */
+  run(task, key = null) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ task, key, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Start waiting tasks while slots are free, skipping tasks whose key is busy
+   */
+  next() {
+    let index = 0;
+
+    while (this.active < this.concurrency && index < this.waiting.length) {
+      if (this.activeKeys.has(this.waiting[index].key)) {
+        index++;
+        continue;
+      }
+
+      const [{ task, key, resolve, reject }] = this.waiting.splice(index, 1);
+      const holds = [];
+
+      if (key !== null) {
+        this.activeKeys.add(key);
+      }
+
+      this.active++;
+      this.stats.started++;
+      this.stats.maxInFlight = Math.max(this.stats.maxInFlight, this.active);
+
+      Promise.resolve()
+        .then(() => task((promise) => holds.push(promise)))
+        .then(
+          (result) => {
+            this.stats.completed++;
+            resolve(result);
+          },
+          (error) => {
+            this.stats.failed++;
+            reject(error);
+          }
+        )
+        .then(() => Promise.allSettled(holds))
+        .finally(() => {
+          this.activeKeys.delete(key);
+          this.active--;
+          this.next();
+          this.notifyIdle();
+        });
+    }
+  }
+
+  /**
+   * Drop tasks that have not started yet
+   * @returns {number} Number of dropped tasks
+   */
+  clear() {
+    const dropped = this.waiting.splice(0);
+
+    dropped.forEach(({ resolve }) => resolve(undefined));
+    this.stats.dropped += dropped.length;
+    this.notifyIdle();
+
+    return dropped.length;
+  }
+
+  /**
+   * Wait until no task is running or waiting
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.active === 0 && this.waiting.length === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Resolve idle waiters once everything has finished
+   */
+  notifyIdle() {
+    if (this.active === 0 && this.waiting.length === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  /**
+   * Get in-flight and throughput counters
+   * @returns {Object} Limiter statistics
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      inFlight: this.active,
+      waiting: this.waiting.length,
+      activePartitions: this.activeKeys.size,
+      ...this.stats,
+    };
+  }
+}
+
+export default ConcurrencyLimiter;
@@ -3,22 +3,216 @@
  *
  * This module provides functionality to establish and manage
  * connections to RabbitMQ message broker.
+ *
+ * The connection is an explicit state machine:
+ *
+ *   idle ──▶ connecting ──▶ connected ──▶ reconnecting ──▶ connected
+ *                │                            │
+ *                └────────▶ reconnecting      └──▶ failed (attempts exhausted)
+ *
+ * and any state moves to `closed` on a deliberate close(). Reconnects use
+ * exponential backoff with jitter, and callers of connect() during a
+ * (re)connect share a single pending promise. Each attempt walks the
+ * configured cluster nodes (round-robin or random) until one accepts.
+ * Credentials are passed to amqplib as connection options, never embedded in
+ * a URL, and TLS (amqps) with client certificates / EXTERNAL auth is supported.
+ *
+ * The connection keeps a registry of the topology (exchanges, queues and
+ * bindings) and consumers declared through it, and replays them after every
+ * successful reconnect. Events emitted:
+ * - stateChange (state, previousState): the connection state changed
+ * - disconnected: the connection to the broker was lost
+ * - reconnected: a new connection was established after a loss
+ * - consumerRecovered (consumer): a registered consumer was restarted
+ * - recovered (summary): topology and consumers were replayed
+ * - recoveryFailed (error): replaying topology or consumers failed
+ * - blocked (reason): the broker applied flow control (memory/disk alarm)
+ * - unblocked: flow control was lifted, or the blocked connection went away
  */
+import { EventEmitter } from "events";
+import fs from "fs";
+import net from "net";
+import tls from "tls";
 import amqp from "amqplib";
 import { rabbitmqConfig } from "../config/index.js";
 import logger from "../config/logger.js";
+import { ConnectionBlockedError, MessageQueueError } from "../utils/errors.js";
+
+/**
+ * Call fn while tls.connect() leaves out the server name
+ *
+ * amqplib always falls back to the host as server name, but SNI only carries
+ * host names, never IP addresses (RFC 6066). amqplib opens its socket
+ * synchronously within amqp.connect(), so no other caller sees the override.
+ * @param {Function} fn - () => amqp.connect(...)
+ * @returns {*} Result of fn
+ */
+const withoutServername = (fn) => {
+  const { connect } = tls;
+  tls.connect = (options, ...args) =>
+    connect.call(tls, { ...options, servername: undefined }, ...args);
 
-class RabbitMQConnection {
-  constructor() {
+  try {
+    return fn();
+  } finally {
+    tls.connect = connect;
+  }
+};
+
+export const CONNECTION_STATES = Object.freeze({
+  IDLE: "idle",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  FAILED: "failed",
+  CLOSED: "closed",
+});
+
+export class RabbitMQConnection extends EventEmitter {
+  /**
+   * Create a new connection
+   * @param {string} [name] - Connection name, used in logs and by the connection manager
+   * @param {Object} [connectionOverrides] - Overrides for rabbitmqConfig.connection (e.g. vhost)
+   */
+  constructor(name = "default", connectionOverrides = {}) {
+    super();
+    this.name = name;
     this.connection = null;
     this.channel = null;
     this.connectionRetries = 0;
-    this.isConnecting = false;
-    this.config = rabbitmqConfig;
+    this.state = CONNECTION_STATES.IDLE;
+    this.connectPromise = null;
+    this.reconnectTimer = null;
+    this.hasConnected = false;
+    this.hostIndex = 0;
+    this.currentEndpoint = null;
+    this.tlsFiles = null;
+    this.blocked = false;
+    this.blockedReason = null;
+    this.blockedSince = null;
+    this.config = {
+      ...rabbitmqConfig,
+      connection: { ...rabbitmqConfig.connection, ...connectionOverrides },
+    };
+    this.topology = {
+      exchanges: new Map(),
+      queues: new Map(),
+      bindings: new Map(),
+      exchangeBindings: new Map(),
+    };
+    this.consumers = new Set();
+  }
+
+  /**
+   * Move to a new connection state and notify listeners
+   * @param {string} state - One of CONNECTION_STATES
+   */
+  setState(state) {
+    if (this.state === state) {
+      return;
+    }
+
+    const previousState = this.state;
+    this.state = state;
+
+    logger.debug(`RabbitMQ connection state: ${previousState} -> ${state}`);
+    this.emit("stateChange", state, previousState);
+  }
+
+  /**
+   * Check whether the connection is currently established
+   * @returns {boolean} True when connected
+   */
+  isConnected() {
+    return this.state === CONNECTION_STATES.CONNECTED && this.connection !== null;
+  }
+
+  /**
+   * Handle connection.blocked from the broker (resource alarm)
+   * @param {string} reason - Reason reported by the broker, e.g. "low on memory"
+   */
+  handleBlocked(reason) {
+    this.blocked = true;
+    this.blockedReason = reason || "unknown";
+    this.blockedSince = Date.now();
+
+    logger.warn(`RabbitMQ connection '${this.name}' blocked by broker: ${this.blockedReason}`);
+    this.emit("blocked", this.blockedReason);
+  }
+
+  /**
+   * Handle connection.unblocked from the broker
+   */
+  handleUnblocked() {
+    if (!this.blocked) {
+      return;
+    }
+
+    const blockedMs = Date.now() - this.blockedSince;
+    this.blocked = false;
+    this.blockedReason = null;
+    this.blockedSince = null;
+
+    logger.info(`RabbitMQ connection '${this.name}' unblocked after ${blockedMs}ms`);
+    this.emit("unblocked");
+  }
+
+  /**
+   * Wait until the broker lifts flow control on this connection
+   * @param {number} [timeout] - Max wait in ms; 0 waits indefinitely
+   * @returns {Promise<void>}
+   */
+  waitForUnblocked(timeout = 0) {
+    if (!this.blocked) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const onUnblocked = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+
+      this.once("unblocked", onUnblocked);
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this.off("unblocked", onUnblocked);
+          reject(
+            new ConnectionBlockedError(
+              `Connection still blocked after ${timeout}ms: ${this.blockedReason}`
+            )
+          );
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * Get a snapshot of the connection status for health checks
+   * @returns {Object} Connection status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      connected: this.isConnected(),
+      node: this.currentEndpoint
+        ? `${this.currentEndpoint.hostname}:${this.currentEndpoint.port}`
+        : null,
+      blocked: this.blocked,
+      blockedReason: this.blockedReason,
+      blockedForMs: this.blocked ? Date.now() - this.blockedSince : 0,
+    };
   }
 
   /**
    * Establish connection to RabbitMQ server
+   *
+   * Concurrent callers share the same pending attempt. While a reconnect is
+   * scheduled, callers wait for that reconnect to finish.
    * @returns {Promise<amqp.Connection>} RabbitMQ connection
    */
   async connect() {
@@ -26,75 +220,466 @@ class RabbitMQConnection {
       return this.connection;
     }
 
-    if (this.isConnecting) {
-      // Wait until existing connection attempt completes
-      await new Promise((resolve) => {
-        const checkConnection = setInterval(() => {
-          if (!this.isConnecting) {
-            clearInterval(checkConnection);
-            resolve();
-          }
-        }, 100);
-      });
-      return this.connection;
+    if (this.connectPromise) {
+      return this.connectPromise;
     }
 
-    this.isConnecting = true;
+    this.connectPromise = this.openConnection()
+      .catch((error) => {
+        // Keep retrying in the background, but report this attempt's failure
+        this.scheduleReconnect();
+        throw error;
+      })
+      .finally(() => {
+        if (this.state !== CONNECTION_STATES.RECONNECTING) {
+          this.connectPromise = null;
+        }
+      });
+
+    return this.connectPromise;
+  }
+
+  /**
+   * Make a single connection attempt
+   * @returns {Promise<amqp.Connection>} RabbitMQ connection
+   */
+  async openConnection() {
+    const isReconnect = this.hasConnected;
+
+    if (this.state !== CONNECTION_STATES.RECONNECTING) {
+      this.setState(CONNECTION_STATES.CONNECTING);
+    }
 
     try {
-      const { protocol, hostname, port, username, password, vhost } = this.config.connection;
-      const connectionString = `${protocol}://${username}:${password}@${hostname}:${port}${vhost}`;
+      const connection = await this.connectToCluster();
 
-      logger.info(`Connecting to RabbitMQ at ${hostname}:${port}...`);
-      this.connection = await amqp.connect(connectionString);
+      if (this.state === CONNECTION_STATES.CLOSED) {
+        // close() was called while the attempt was in flight
+        await connection.close();
+        throw new MessageQueueError("Connection closed while connecting");
+      }
 
+      this.connection = connection;
       this.connectionRetries = 0;
-      logger.info("Successfully connected to RabbitMQ");
+      const { hostname, port } = this.currentEndpoint;
+      logger.info(`Successfully connected to RabbitMQ node ${hostname}:${port}`);
 
-      this.connection.on("error", (err) => {
+      connection.on("error", (err) => {
         logger.error(`RabbitMQ connection error: ${err.message}`);
-        this.handleConnectionError();
+        this.handleConnectionError(connection);
       });
 
-      this.connection.on("close", () => {
+      connection.on("close", () => {
         logger.warn("RabbitMQ connection closed");
-        this.handleConnectionError();
+        this.handleConnectionError(connection);
       });
 
-      return this.connection;
+      connection.on("blocked", (reason) => this.handleBlocked(reason));
+      connection.on("unblocked", () => this.handleUnblocked());
+
+      this.hasConnected = true;
+      this.setState(CONNECTION_STATES.CONNECTED);
+
+      if (isReconnect) {
+        this.emit("reconnected");
+        await this.recover();
+      }
+
+      return connection;
     } catch (error) {
       logger.error(`Failed to connect to RabbitMQ: ${error.message}`);
-      this.handleConnectionError();
       throw error;
-    } finally {
-      this.isConnecting = false;
     }
   }
 
   /**
-   * Handle connection errors with reconnection logic
+   * Try each broker endpoint in selection order until one accepts the connection
+   * @returns {Promise<amqp.Connection>} RabbitMQ connection
+   */
+  async connectToCluster() {
+    const { protocol } = this.config.connection;
+    let lastError;
+
+    if (protocol === "amqps") {
+      // Fail fast on unreadable TLS files instead of blaming every node
+      this.loadTlsFiles();
+    }
+
+    for (const { endpoint, index } of this.getEndpointOrder()) {
+      const { hostname, port } = endpoint;
+
+      try {
+        logger.info(`Connecting to RabbitMQ at ${protocol}://${hostname}:${port}...`);
+        const socketOptions = this.getSocketOptions(endpoint);
+        const connect = () => amqp.connect(this.getConnectOptions(endpoint), socketOptions);
+        // Without a server name the host is an IP address (see getSocketOptions())
+        const connection = await (protocol === "amqps" && !socketOptions.servername
+          ? withoutServername(connect)
+          : connect());
+
+        this.hostIndex = index;
+        this.currentEndpoint = endpoint;
+
+        return connection;
+      } catch (error) {
+        logger.warn(`RabbitMQ node ${hostname}:${port} unavailable: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Build the amqplib connection options for an endpoint
+   *
+   * Credentials and vhost from the endpoint's URL take precedence over the
+   * global ones.
+   * @param {{hostname: string, port: number}} endpoint - Broker endpoint
+   * @returns {Object} amqplib connect options
+   */
+  getConnectOptions({ hostname, port, ...endpoint }) {
+    const { protocol, authMechanism, ...connection } = this.config.connection;
+    const { username, password, vhost } = { ...connection, ...endpoint };
+    const options = { protocol, hostname, port, vhost };
+
+    // With EXTERNAL the broker derives the user from the client certificate
+    if (authMechanism !== "EXTERNAL") {
+      options.username = username;
+      options.password = password;
+    }
+
+    return options;
+  }
+
+  /**
+   * Build the socket options (TLS material and SASL credentials) for an endpoint
+   * @param {{hostname: string}} endpoint - Broker endpoint
+   * @returns {Object} amqplib socket options
+   */
+  getSocketOptions({ hostname }) {
+    const { protocol, authMechanism, tls } = this.config.connection;
+    const socketOptions = {};
+
+    if (protocol === "amqps") {
+      const { ca, cert, key } = this.loadTlsFiles();
+
+      Object.assign(socketOptions, {
+        ...(ca ? { ca: [ca] } : {}),
+        ...(cert ? { cert } : {}),
+        ...(key ? { key } : {}),
+        ...(tls.passphrase ? { passphrase: tls.passphrase } : {}),
+        rejectUnauthorized: tls.rejectUnauthorized,
+      });
+
+      // SNI only carries host names, never IP addresses
+      const servername = tls.servername || hostname;
+      if (!net.isIP(servername.replace(/^\[|\]$/g, ""))) {
+        socketOptions.servername = servername;
+      }
+
+      if (!tls.verifyHostname) {
+        socketOptions.checkServerIdentity = () => undefined;
+      }
+    }
+
+    if (authMechanism === "EXTERNAL") {
+      socketOptions.credentials = amqp.credentials.external();
+    }
+
+    return socketOptions;
+  }
+
+  /**
+   * Load the configured CA, certificate and key files once
+   * @returns {{ca?: Buffer, cert?: Buffer, key?: Buffer}} TLS file contents
+   */
+  loadTlsFiles() {
+    if (!this.tlsFiles) {
+      const { tls } = this.config.connection;
+
+      this.tlsFiles = {
+        ca: this.readTlsFile(tls.caFile, "CA certificate"),
+        cert: this.readTlsFile(tls.certFile, "client certificate"),
+        key: this.readTlsFile(tls.keyFile, "client key"),
+      };
+    }
+
+    return this.tlsFiles;
+  }
+
+  /**
+   * Read a TLS file from disk if a path is configured
+   * @param {string} [filePath] - Path to the PEM file
+   * @param {string} label - Human readable name used in errors
+   * @returns {Buffer|undefined} File contents
+   */
+  readTlsFile(filePath, label) {
+    if (!filePath) {
+      return undefined;
+    }
+
+    try {
+      return fs.readFileSync(filePath);
+    } catch (error) {
+      throw new MessageQueueError(`Unable to read TLS ${label} at ${filePath}`, error);
+    }
+  }
+
+  /**
+   * Order the configured endpoints according to the host selection strategy
+   *
+   * round-robin starts at the current node and walks the list in order;
+   * random shuffles the list on every attempt.
+   * @returns {Array<{endpoint: Object, index: number}>} Endpoints to try, in order
    */
-  handleConnectionError() {
+  getEndpointOrder() {
+    const { hosts, hostSelection } = this.config.connection;
+    const endpoints = hosts.map((endpoint, index) => ({ endpoint, index }));
+
+    if (hostSelection === "random") {
+      for (let i = endpoints.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [endpoints[i], endpoints[j]] = [endpoints[j], endpoints[i]];
+      }
+
+      return endpoints;
+    }
+
+    const start = this.hostIndex % endpoints.length;
+    return [...endpoints.slice(start), ...endpoints.slice(0, start)];
+  }
+
+  /**
+   * Handle the loss of an established connection
+   * @param {amqp.Connection} connection - The connection that errored or closed
+   */
+  handleConnectionError(connection) {
+    // Ignore events from stale connections, duplicate error+close events,
+    // and the close event triggered by a deliberate close()
+    if (connection !== this.connection || this.state === CONNECTION_STATES.CLOSED) {
+      return;
+    }
+
     this.connection = null;
     this.channel = null;
 
-    if (this.connectionRetries < this.config.connection.reconnectAttempts) {
-      const delay = this.config.connection.reconnectInterval;
+    // Start the next attempt on another node
+    this.hostIndex = (this.hostIndex + 1) % this.config.connection.hosts.length;
+    this.currentEndpoint = null;
+
+    // A new connection starts unblocked
+    this.handleUnblocked();
+
+    this.emit("disconnected");
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Start the background reconnect loop unless one is already running
+   */
+  scheduleReconnect() {
+    if (this.state === CONNECTION_STATES.CLOSED || this.state === CONNECTION_STATES.RECONNECTING) {
+      return;
+    }
+
+    this.setState(CONNECTION_STATES.RECONNECTING);
+    this.connectPromise = this.reconnect().finally(() => {
+      this.connectPromise = null;
+    });
+
+    // Failures are surfaced to callers of connect() and through the state
+    this.connectPromise.catch(() => {});
+  }
+
+  /**
+   * Retry connecting with exponential backoff until connected, out of
+   * attempts or closed
+   * @returns {Promise<amqp.Connection>} RabbitMQ connection
+   */
+  async reconnect() {
+    const { reconnectAttempts, retryForever } = this.config.connection;
+
+    while (retryForever || this.connectionRetries < reconnectAttempts) {
       this.connectionRetries++;
+      const delay = this.getReconnectDelay(this.connectionRetries);
+      const limit = retryForever ? "∞" : reconnectAttempts;
 
       logger.info(
-        `Attempting to reconnect to RabbitMQ in ${delay}ms (attempt ${this.connectionRetries}/${this.config.connection.reconnectAttempts})`
+        `Attempting to reconnect to RabbitMQ in ${delay}ms (attempt ${this.connectionRetries}/${limit})`
       );
 
-      setTimeout(() => {
-        this.connect().catch((err) => {
-          logger.error(`Reconnection attempt failed: ${err.message}`);
-        });
+      await this.waitForReconnect(delay);
+
+      try {
+        return await this.openConnection();
+      } catch (error) {
+        if (this.state === CONNECTION_STATES.CLOSED) {
+          throw error;
+        }
+
+        logger.error(`Reconnection attempt failed: ${error.message}`);
+      }
+    }
+
+    logger.error(`Max reconnection attempts (${reconnectAttempts}) reached. Giving up.`);
+    this.setState(CONNECTION_STATES.FAILED);
+    this.connectionRetries = 0;
+
+    throw new MessageQueueError(`Unable to reconnect after ${reconnectAttempts} attempts`);
+  }
+
+  /**
+   * Compute the backoff delay for a reconnect attempt
+   * @param {number} attempt - Attempt number, starting at 1
+   * @returns {number} Delay in milliseconds
+   */
+  getReconnectDelay(attempt) {
+    const { reconnectInterval, reconnectMaxInterval, reconnectBackoffFactor, reconnectJitter } =
+      this.config.connection;
+
+    const base = Math.min(
+      reconnectMaxInterval,
+      reconnectInterval * Math.pow(reconnectBackoffFactor, attempt - 1)
+    );
+
+    // Spread reconnects by +/- jitter so clients don't reconnect in lockstep
+    const jittered = base + (Math.random() * 2 - 1) * base * reconnectJitter;
+
+    return Math.round(Math.min(reconnectMaxInterval, Math.max(0, jittered)));
+  }
+
+  /**
+   * Wait before the next reconnect attempt; close() cancels the wait
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  waitForReconnect(delay) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.reconnectTimer = null;
+        resolve();
       }, delay);
-    } else {
-      logger.error(
-        `Max reconnection attempts (${this.config.connection.reconnectAttempts}) reached. Giving up.`
+
+      this.reconnectTimer = {
+        cancel: () => {
+          clearTimeout(timer);
+          this.reconnectTimer = null;
+          reject(new MessageQueueError("Reconnect cancelled because the connection was closed"));
+        },
+      };
+    });
+  }
+
+  /**
+   * Record an exchange so it is re-declared after a reconnect
+   * @param {string} name - Exchange name
+   * @param {string} type - Exchange type
+   * @param {Object} [options] - Exchange options
+   */
+  recordExchange(name, type, options = {}) {
+    this.topology.exchanges.set(name, { name, type, options });
+  }
+
+  /**
+   * Record a queue so it is re-declared after a reconnect
+   * @param {string} name - Queue name
+   * @param {Object} [options] - Queue options
+   */
+  recordQueue(name, options = {}) {
+    this.topology.queues.set(name, { name, options });
+  }
+
+  /**
+   * Record a queue binding so it is re-created after a reconnect
+   * @param {string} queue - Queue name
+   * @param {string} exchange - Exchange name
+   * @param {string} routingKey - Binding routing key
+   */
+  recordBinding(queue, exchange, routingKey) {
+    this.topology.bindings.set(`${queue}|${exchange}|${routingKey}`, {
+      queue,
+      exchange,
+      routingKey,
+    });
+  }
+
+  /**
+   * Record an exchange-to-exchange binding so it is re-created after a reconnect
+   * @param {string} destination - Exchange receiving the messages
+   * @param {string} source - Exchange the messages come from
+   * @param {string} routingKey - Binding routing key
+   */
+  recordExchangeBinding(destination, source, routingKey) {
+    this.topology.exchangeBindings.set(`${destination}|${source}|${routingKey}`, {
+      destination,
+      source,
+      routingKey,
+    });
+  }
+
+  /**
+   * Register an active consumer so it is restarted after a reconnect
+   * @param {Object} consumer - Consumer exposing a recover() method
+   */
+  registerConsumer(consumer) {
+    this.consumers.add(consumer);
+  }
+
+  /**
+   * Remove a consumer from the recovery registry
+   * @param {Object} consumer - Previously registered consumer
+   */
+  unregisterConsumer(consumer) {
+    this.consumers.delete(consumer);
+  }
+
+  /**
+   * Replay recorded topology and restart registered consumers
+   * @returns {Promise<void>}
+   */
+  async recover() {
+    const { exchanges, queues, bindings, exchangeBindings } = this.topology;
+
+    try {
+      const channel = await this.createChannel();
+
+      for (const { name, type, options } of exchanges.values()) {
+        await channel.assertExchange(name, type, options);
+      }
+
+      for (const { name, options } of queues.values()) {
+        await channel.assertQueue(name, options);
+      }
+
+      for (const { queue, exchange, routingKey } of bindings.values()) {
+        await channel.bindQueue(queue, exchange, routingKey);
+      }
+
+      for (const { destination, source, routingKey } of exchangeBindings.values()) {
+        await channel.bindExchange(destination, source, routingKey);
+      }
+
+      for (const consumer of this.consumers) {
+        await consumer.recover();
+        this.emit("consumerRecovered", consumer);
+      }
+
+      const summary = {
+        exchanges: exchanges.size,
+        queues: queues.size,
+        bindings: bindings.size + exchangeBindings.size,
+        consumers: this.consumers.size,
+      };
+
+      logger.info(
+        `RabbitMQ topology recovered: ${summary.exchanges} exchange(s), ${summary.queues} queue(s), ` +
+          `${summary.bindings} binding(s), ${summary.consumers} consumer(s)`
       );
+      this.emit("recovered", summary);
+    } catch (error) {
+      logger.error(`Failed to recover RabbitMQ topology: ${error.message}`);
+      this.emit("recoveryFailed", error);
     }
   }
 
@@ -132,9 +717,60 @@ class RabbitMQConnection {
   }
 
   /**
-   * Close connection and channel
+   * Open a new channel owned by the caller
+   *
+   * Unlike createChannel(), every call returns a fresh channel so a channel
+   * error in one publisher or consumer cannot take down the others. The
+   * caller is responsible for closing it.
+   * @param {Object} [options] - Channel options
+   * @param {boolean} [options.confirm] - Open a confirm channel (publisher confirms)
+   * @param {string} [options.purpose] - Label used in logs, e.g. "publish" or "consume"
+   * @param {Function} [options.onClose] - Called once the channel has closed
+   * @returns {Promise<amqp.Channel|amqp.ConfirmChannel>} RabbitMQ channel
+   */
+  async openChannel({ confirm = false, purpose = "general", onClose } = {}) {
+    try {
+      const connection = await this.connect();
+      const channel = confirm
+        ? await connection.createConfirmChannel()
+        : await connection.createChannel();
+
+      logger.info(`RabbitMQ ${purpose} channel opened on connection '${this.name}'`);
+
+      channel.on("error", (err) => {
+        logger.error(`RabbitMQ ${purpose} channel error: ${err.message}`);
+      });
+
+      channel.on("close", () => {
+        logger.warn(`RabbitMQ ${purpose} channel closed`);
+
+        if (onClose) {
+          onClose();
+        }
+      });
+
+      return channel;
+    } catch (error) {
+      logger.error(`Failed to open RabbitMQ ${purpose} channel: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Close connection and channels
+   *
+   * A deliberate close cancels any pending reconnect and never reconnects.
    */
   async close() {
+    this.setState(CONNECTION_STATES.CLOSED);
+    this.hasConnected = false;
+    this.connectionRetries = 0;
+    this.handleUnblocked();
+
+    if (this.reconnectTimer) {
+      this.reconnectTimer.cancel();
+    }
+
     try {
       if (this.channel) {
         logger.info("Closing RabbitMQ channel...");
@@ -143,7 +779,7 @@ class RabbitMQConnection {
       }
 
       if (this.connection) {
-        logger.info("Closing RabbitMQ connection...");
+        logger.info(`Closing RabbitMQ connection '${this.name}'...`);
         await this.connection.close();
         this.connection = null;
       }
@@ -157,5 +793,5 @@ class RabbitMQConnection {
   }
 }
 
-// Export a singleton instance
+// Export the default connection; named connections live in the connection manager
 export default new RabbitMQConnection();
@@ -0,0 +1,74 @@
+/**
+ * RabbitMQ Connection Manager Module
+ *
+ * This module keeps track of named RabbitMQ connections, e.g. one per vhost,
+ * so publishers and consumers can share a connection by name while each
+ * owning their own channels.
+ */
+import defaultConnection, { RabbitMQConnection } from "./connection.js";
+import logger from "../config/logger.js";
+
+export const DEFAULT_CONNECTION = "default";
+
+class ConnectionManager {
+  constructor() {
+    this.connections = new Map([[DEFAULT_CONNECTION, defaultConnection]]);
+  }
+
+  /**
+   * Get a named connection, creating it on first use
+   * @param {string} [name] - Connection name
+   * @param {Object} [connectionOverrides] - Overrides for rabbitmqConfig.connection,
+   *   only applied when the connection is created
+   * @returns {RabbitMQConnection} Connection instance
+   */
+  get(name = DEFAULT_CONNECTION, connectionOverrides = {}) {
+    if (!this.connections.has(name)) {
+      logger.info(`Registering RabbitMQ connection '${name}'`);
+      this.connections.set(name, new RabbitMQConnection(name, connectionOverrides));
+    }
+
+    return this.connections.get(name);
+  }
+
+  /**
+   * Check whether a named connection exists
+   * @param {string} name - Connection name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.connections.has(name);
+  }
+
+  /**
+   * Get the status of every registered connection
+   * @returns {Object[]} Connection statuses
+   */
+  getStatus() {
+    return [...this.connections.values()].map((connection) => connection.getStatus());
+  }
+
+  /**
+   * Close one named connection
+   * @param {string} name - Connection name
+   * @returns {Promise<void>}
+   */
+  async close(name) {
+    const connection = this.connections.get(name);
+
+    if (connection) {
+      await connection.close();
+    }
+  }
+
+  /**
+   * Close every registered connection
+   * @returns {Promise<void>}
+   */
+  async closeAll() {
+    await Promise.all([...this.connections.values()].map((connection) => connection.close()));
+    logger.info("All RabbitMQ connections closed");
+  }
+}
+
+export default new ConnectionManager();
@@ -4,40 +4,296 @@
  * This module provides functionality to consume messages from RabbitMQ queues.
  */
 import { rabbitmqConfig } from "../config/index.js";
-import rabbitMQConnection from "./connection.js";
+import connectionManager from "./connection_manager.js";
+import RetryManager, { RETRY_HEADERS } from "./retry.js";
+import ConcurrencyLimiter from "./concurrency_limiter.js";
+import { compose } from "./middleware.js";
+import Deduplicator from "./deduplicator.js";
+import { createDedupStore } from "./dedup_store.js";
+import { validateConsume } from "./validation.js";
+import {
+  PARTITION_HEADER,
+  createPartitionKey,
+  getShardExchangeName,
+  getShardQueueName,
+} from "./partitioning.js";
+import { Message, schemaRegistry } from "../models/index.js";
+import { HandlerTimeoutError, UnhandledMessageError } from "../utils/errors.js";
+import { settleWithin } from "../utils/async.js";
 import logger from "../config/logger.js";
 
 class Consumer {
-  constructor() {
+  /**
+   * Create a new consumer
+   * @param {Object} [options] - Consumer options
+   * @param {string} [options.connection] - Name of the connection to consume on
+   * @param {string} [options.service] - Name of the service consuming; the consumer then
+   *   uses the service's own subscription queue (see rabbitmqConfig.services)
+   * @param {string} [options.queue] - Queue to consume: the work queue (default) or
+   *   one defined in rabbitmqConfig.queues; ignored when `service` is set
+   * @param {string[]} [options.bindings] - Routing key patterns overriding the queue's bindings
+   * @param {string|Function} [options.partitionKey] - Dot path into the Message (e.g.
+   *   "data.id") or (message) => key; messages with the same key are handled in order
+   * @param {number} [options.shard] - Consume only this shard of the queue (see partitioning.js)
+   * @param {number} [options.shards] - Number of shards the queue is split into
+   * @param {boolean|Object} [options.retry] - Enable delayed retries, optionally with
+   *   overrides for rabbitmqConfig.retry (delays, maxAttempts, policies)
+   * @param {number} [options.prefetch] - Max unacked deliveries on the channel (0 = unlimited)
+   * @param {number} [options.concurrency] - Max message handlers running at once
+   * @param {number} [options.drainTimeout] - Max wait in ms for in-flight handlers on close
+   * @param {number} [options.handlerTimeout] - Max time in ms a handler may run (0 = no limit)
+   * @param {Object} [options.handlerTimeouts] - Per message type handler timeout overrides
+   * @param {boolean|Object} [options.dedup] - Skip already processed messages, optionally
+   *   with overrides for rabbitmqConfig.dedup (store, ttl, maxSize, file) plus a
+   *   `keyOf(ctx)` key extractor; `store` may also be a store instance
+   * @param {boolean|Object} [options.validation] - Quarantine messages failing schema
+   *   validation, optionally with { registry, quarantineQueue } overrides
+   */
+  constructor(options = {}) {
     this.config = rabbitmqConfig;
+    this.connection = connectionManager.get(options.connection);
+    this.channelPromise = null;
+    // The channel once open; null while it is being opened or after it closed
+    this.channel = null;
     this.exchange = this.config.exchange.name;
     this.exchangeType = this.config.exchange.type;
     this.exchangeOptions = this.config.exchange.options;
-    this.queue = this.config.queue.name;
-    this.queueOptions = this.config.queue.options;
-    this.defaultRoutingKey = this.config.routingKey;
+    const queue = options.service
+      ? this.resolveServiceQueue(options.service)
+      : this.resolveQueue(options.queue);
+    this.service = options.service || null;
+    this.queue = queue.name;
+    this.queueOptions = queue.options;
+    this.bindings = options.bindings || queue.bindings;
+    this.shards = this.createShards(options.shard, options.shards);
+    this.partitionKeyOf = createPartitionKey(options.partitionKey ?? this.config.partitioning.key);
+
+    // A sharded consumer reads one shard queue; retries and stats follow that queue
+    if (this.shards) {
+      this.queue = getShardQueueName(this.queue, this.shards.index);
+    }
+    this.deadLetter = this.config.deadLetter;
     this.consumerTag = null;
+    this.messageHandler = null;
+    this.consumeOptions = {};
+    this.retry = this.createRetryManager(options.retry);
+    this.middleware = [];
+    // Contexts of deliveries not yet finished (running or waiting for a slot)
+    this.deliveries = new Set();
+    this.handlerErrors = 0;
+    this.handlerTimeouts = 0;
+    this.handlerTimeout = options.handlerTimeout ?? this.config.consumer.handlerTimeout;
+    this.handlerTimeoutsByType = {
+      ...this.config.consumer.handlerTimeouts,
+      ...options.handlerTimeouts,
+    };
+    this.drainTimeout = options.drainTimeout ?? this.config.consumer.drainTimeout;
+    this.validation = this.createValidation(options.validation);
+    this.deduplicator = this.createDeduplicator(options.dedup);
+
+    // Validation runs first so quarantined messages are never recorded as processed
+    if (this.validation) {
+      this.use(validateConsume(this.validation.registry, this.validation.quarantineQueue));
+    }
+
+    // Deduplication wraps every other middleware and the handler
+    if (this.deduplicator) {
+      this.use(this.deduplicator.middleware());
+    }
+    this.prefetch = options.prefetch ?? this.config.consumer.prefetch;
+    this.limiter = new ConcurrencyLimiter(options.concurrency ?? this.config.consumer.concurrency);
+
+    if (this.prefetch > 0 && this.prefetch < this.limiter.concurrency) {
+      logger.warn(
+        `Consumer prefetch (${this.prefetch}) is below its concurrency ` +
+          `(${this.limiter.concurrency}); at most ${this.prefetch} handlers will run at once`
+      );
+    }
+  }
+
+  /**
+   * Look up a queue definition by name
+   * @param {string} [name] - Queue name; defaults to the work queue
+   * @returns {{name: string, options: Object, bindings: string[]}} Queue definition
+   * @throws {Error} If the queue is not configured
+   */
+  resolveQueue(name = this.config.queue.name) {
+    if (name === this.config.queue.name) {
+      return this.config.queue;
+    }
+
+    if (!this.config.queues[name]) {
+      throw new Error(`Queue '${name}' is not configured; add it to RABBITMQ_QUEUES`);
+    }
+
+    return this.config.queues[name];
+  }
+
+  /**
+   * Build the subscription queue definition for a service
+   *
+   * Each service consumes its own durable queue bound to the shared exchange,
+   * so every service receives every message it binds to, while instances of
+   * the same service compete for the messages in that queue. The queue takes
+   * its bindings and options from its RABBITMQ_QUEUES entry, if any, and
+   * otherwise binds "#".
+   * @param {string} service - Service name, e.g. "notifications"
+   * @returns {{name: string, options: Object, bindings: string[]}} Queue definition
+   */
+  resolveServiceQueue(service) {
+    const name = `${this.config.services.queuePrefix}.${service}`;
+
+    return (
+      this.config.queues[name] || { name, options: this.config.queue.options, bindings: ["#"] }
+    );
+  }
+
+  /**
+   * Build the shard settings for a consumer reading one shard of its queue
+   * @param {number} [shard] - Shard index, from 0
+   * @param {number} [count] - Number of shards; defaults to rabbitmqConfig.partitioning.shards
+   * @returns {{queue: string, exchange: string, index: number, count: number}|null}
+   *   Shard settings, or null when the consumer reads the whole queue
+   * @throws {Error} If the shard index is out of range
+   */
+  createShards(shard, count = this.config.partitioning.shards) {
+    if (shard === undefined || shard === null) {
+      return null;
+    }
+
+    if (!Number.isInteger(shard) || shard < 0 || shard >= count) {
+      throw new Error(
+        `Shard must be an integer from 0 to ${count - 1} (RABBITMQ_PARTITION_SHARDS=${count}), got: ${shard}`
+      );
+    }
+
+    return { queue: this.queue, exchange: getShardExchangeName(this.queue), index: shard, count };
+  }
+
+  /**
+   * Build the retry manager from config and per-consumer overrides
+   * @param {boolean|Object} [retryOptions] - true, false or overrides
+   * @returns {RetryManager|null} Retry manager, or null when retries are disabled
+   */
+  createRetryManager(retryOptions = this.config.retry.enabled) {
+    if (!retryOptions || retryOptions.enabled === false) {
+      return null;
+    }
+
+    const overrides = typeof retryOptions === "object" ? retryOptions : {};
+    return new RetryManager(this.queue, { ...this.config.retry, ...overrides });
+  }
+
+  /**
+   * Build the validation settings from config and per-consumer overrides
+   * @param {boolean|Object} [validationOptions] - true, false or overrides
+   * @returns {{registry: SchemaRegistry, quarantineQueue: string}|null} Settings,
+   *   or null when validation is disabled
+   */
+  createValidation(validationOptions = this.config.validation.enabled) {
+    if (!validationOptions || validationOptions.enabled === false) {
+      return null;
+    }
+
+    const overrides = typeof validationOptions === "object" ? validationOptions : {};
+
+    return {
+      registry: overrides.registry || schemaRegistry,
+      quarantineQueue: overrides.quarantineQueue || this.config.validation.quarantineQueue,
+    };
+  }
+
+  /**
+   * Build the deduplicator from config and per-consumer overrides
+   * @param {boolean|Object} [dedupOptions] - true, false or overrides
+   * @returns {Deduplicator|null} Deduplicator, or null when deduplication is disabled
+   */
+  createDeduplicator(dedupOptions = this.config.dedup.enabled) {
+    if (!dedupOptions || dedupOptions.enabled === false) {
+      return null;
+    }
+
+    const overrides = typeof dedupOptions === "object" ? dedupOptions : {};
+    const { store, ttl, keyOf, ...storeOptions } = { ...this.config.dedup, ...overrides };
+
+    return new Deduplicator({
+      store: typeof store === "object" ? store : createDedupStore({ ...storeOptions, store }),
+      ttl,
+      keyOf,
+    });
+  }
+
+  /**
+   * Get the consumer's own channel, opening it on first use and again after it closes
+   * @returns {Promise<amqp.Channel>} RabbitMQ channel
+   */
+  async getChannel() {
+    if (!this.channelPromise) {
+      this.channelPromise = this.connection
+        .openChannel({
+          purpose: "consume",
+          onClose: () => {
+            this.channelPromise = null;
+            this.channel = null;
+            // The broker dropped the consumer with its channel; there is nothing to cancel
+            this.consumerTag = null;
+          },
+        })
+        .then((channel) => {
+          this.channel = channel;
+          return channel;
+        })
+        .catch((error) => {
+          this.channelPromise = null;
+          throw error;
+        });
+    }
+
+    return this.channelPromise;
   }
 
   /**
    * Initialize the consumer by setting up exchange, queue and bindings
+   *
+   * The queue is bound once per routing key pattern. Bindings removed from
+   * the configuration stay on the broker until the queue is unbound by hand.
    * @returns {Promise<void>}
    */
   async initialize() {
     try {
-      const channel = await rabbitMQConnection.createChannel();
+      const channel = await this.getChannel();
 
       // Assert the exchange
       await channel.assertExchange(this.exchange, this.exchangeType, this.exchangeOptions);
 
-      // Assert the queue
-      await channel.assertQueue(this.queue, this.queueOptions);
+      // Assert the dead-letter exchange and queue the work queue dead-letters to
+      await this.setupDeadLetter(channel);
+
+      // Assert the queue, or the hash exchange and every shard queue, and bind it
+      if (this.shards) {
+        await this.setupShards(channel);
+      } else {
+        await this.setupQueue(channel);
+      }
+
+      // Declare delay and parking queues for failed messages
+      if (this.retry) {
+        await this.retry.setup(channel, this.connection);
+      }
+
+      // Declare the queue for messages failing schema validation
+      if (this.validation) {
+        const quarantineOptions = { durable: true };
+        await channel.assertQueue(this.validation.quarantineQueue, quarantineOptions);
+        this.connection.recordQueue(this.validation.quarantineQueue, quarantineOptions);
+      }
 
-      // Bind queue to exchange with routing key
-      await channel.bindQueue(this.queue, this.exchange, this.defaultRoutingKey);
+      // Record topology so it is re-declared after a reconnect
+      this.connection.recordExchange(this.exchange, this.exchangeType, this.exchangeOptions);
 
       logger.info(
-        `Consumer initialized: Queue '${this.queue}' bound to exchange '${this.exchange}' with routing key '${this.defaultRoutingKey}'`
+        `Consumer initialized: Queue '${this.queue}' bound to exchange '${this.exchange}' ` +
+          `with routing key(s) '${this.bindings.join("', '")}'`
       );
     } catch (error) {
       logger.error(`Failed to initialize consumer: ${error.message}`);
@@ -45,15 +301,90 @@ class Consumer {
     }
   }
 
+  /**
+   * Declare the queue and bind it once per routing key pattern
+   * @param {amqp.Channel} channel - Channel to declare on
+   * @returns {Promise<void>}
+   */
+  async setupQueue(channel) {
+    await channel.assertQueue(this.queue, this.queueOptions);
+    this.connection.recordQueue(this.queue, this.queueOptions);
+
+    for (const pattern of this.bindings) {
+      await channel.bindQueue(this.queue, this.exchange, pattern);
+      this.connection.recordBinding(this.queue, this.exchange, pattern);
+    }
+  }
+
+  /**
+   * Declare the consistent-hash exchange and all shard queues behind it
+   *
+   * Every shard is declared, not just the one consumed, so messages for shards
+   * whose consumer is not running yet wait in their queue instead of being lost.
+   * @param {amqp.Channel} channel - Channel to declare on
+   * @returns {Promise<void>}
+   */
+  async setupShards(channel) {
+    const { queue, exchange, count } = this.shards;
+    const exchangeType = "x-consistent-hash";
+    const exchangeOptions = { durable: true, arguments: { "hash-header": PARTITION_HEADER } };
+
+    await channel.assertExchange(exchange, exchangeType, exchangeOptions);
+    this.connection.recordExchange(exchange, exchangeType, exchangeOptions);
+
+    for (const pattern of this.bindings) {
+      await channel.bindExchange(exchange, this.exchange, pattern);
+      this.connection.recordExchangeBinding(exchange, this.exchange, pattern);
+    }
+
+    for (let index = 0; index < count; index++) {
+      const shardQueue = getShardQueueName(queue, index);
+
+      await channel.assertQueue(shardQueue, this.queueOptions);
+      this.connection.recordQueue(shardQueue, this.queueOptions);
+
+      // The routing key is the shard's weight in the hash ring
+      await channel.bindQueue(shardQueue, exchange, "1");
+      this.connection.recordBinding(shardQueue, exchange, "1");
+    }
+  }
+
+  /**
+   * Declare the dead-letter exchange and queue
+   * @param {amqp.Channel} channel - Channel to declare on
+   * @returns {Promise<void>}
+   */
+  async setupDeadLetter(channel) {
+    const { exchange, exchangeType, queue } = this.deadLetter;
+    const options = { durable: true };
+
+    await channel.assertExchange(exchange, exchangeType, options);
+    await channel.assertQueue(queue, options);
+    await channel.bindQueue(queue, exchange, "");
+
+    this.connection.recordExchange(exchange, exchangeType, options);
+    this.connection.recordQueue(queue, options);
+    this.connection.recordBinding(queue, exchange, "");
+  }
+
   /**
    * Start consuming messages from the queue
+   *
+   * The channel prefetch caps how many unacked messages the broker pushes to
+   * this consumer, and at most `concurrency` handlers run at once; the rest
+   * wait in delivery order. Each message is acked on its own as soon as its
+   * handler settles, so handlers finishing out of order never ack each other.
+   *
+   * With a partition key, messages sharing a key are handled one at a time in
+   * delivery order. A message that fails and is retried through a delay queue
+   * comes back after later messages for its key.
    * @param {Function} messageHandler - Callback function to process received messages
    * @param {Object} [options] - Consume options
    * @returns {Promise<string>} Consumer tag
    */
   async consume(messageHandler, options = {}) {
     try {
-      const channel = await rabbitMQConnection.createChannel();
+      const channel = await this.getChannel();
 
       // Default consume options
       const consumeOptions = {
@@ -61,52 +392,53 @@ class Consumer {
         ...options,
       };
 
+      // Limit unacked deliveries; applies to consumers started after this call
+      if (this.prefetch > 0) {
+        await channel.prefetch(this.prefetch);
+      }
+
       // Start consuming
       const { consumerTag } = await channel.consume(
         this.queue,
-        async (msg) => {
+        (msg) => {
           if (!msg) {
             logger.warn("Received null message, consumer was cancelled");
             return;
           }
 
-          try {
-            // Parse message content
-            const content = msg.content.toString();
-            let parsedContent;
-
-            try {
-              parsedContent = JSON.parse(content);
-            } catch (err) {
-              parsedContent = content;
-            }
-
-            logger.debug(`Received message from queue '${this.queue}': ${content}`);
-
-            // Process message with handler
-            await messageHandler(parsedContent, msg);
-
-            // Acknowledge the message if noAck is false
-            if (!consumeOptions.noAck) {
-              channel.ack(msg);
-              logger.debug("Message acknowledged");
-            }
-          } catch (error) {
-            logger.error(`Error processing message: ${error.message}`);
-
-            // Reject the message (with requeue option)
-            if (!consumeOptions.noAck) {
-              channel.reject(msg, false); // Don't requeue to avoid poison messages
-              logger.debug("Message rejected (not requeued)");
-            }
-          }
+          const ctx = this.createContext(channel, msg, consumeOptions);
+          this.deliveries.add(ctx);
+          const partitionKey = this.partitionKeyOf ? this.partitionKeyOf(ctx.message) : null;
+
+          return this.limiter
+            .run(async (hold) => {
+              await this.processMessage(ctx, messageHandler, consumeOptions);
+
+              // A timed out handler may still be running: keep its slot and partition key
+              if (ctx.abandonedHandler) {
+                hold(ctx.abandonedHandler);
+              }
+            }, partitionKey)
+            .catch((error) => {
+              logger.error(`Failed to settle message: ${error.message}`);
+            })
+            .finally(() => {
+              this.deliveries.delete(ctx);
+            });
         },
         consumeOptions
       );
 
       this.consumerTag = consumerTag;
+      this.messageHandler = messageHandler;
+      this.consumeOptions = options;
+
+      // Register so the consumer is restarted after a reconnect
+      this.connection.registerConsumer(this);
+
       logger.info(
-        `Started consuming from queue '${this.queue}' with consumer tag '${consumerTag}'`
+        `Started consuming from queue '${this.queue}' with consumer tag '${consumerTag}' ` +
+          `(prefetch: ${this.prefetch || "unlimited"}, concurrency: ${this.limiter.concurrency})`
       );
 
       return consumerTag;
@@ -116,14 +448,289 @@ class Consumer {
     }
   }
 
+  /**
+   * Add middleware to the consume pipeline
+   *
+   * Middleware runs in registration order around the message handler and
+   * receives the context built by createContext().
+   * @param {Function} middleware - async (ctx, next) => void
+   * @returns {Consumer} This consumer, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== "function") {
+      throw new Error("Middleware must be a function");
+    }
+
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Build the middleware context for one delivery
+   * @param {amqp.Channel} channel - Channel the message was delivered on
+   * @param {Object} msg - amqplib message
+   * @param {Object} consumeOptions - Consume options
+   * @returns {Object} Context with the raw and parsed message, the channel,
+   *   a `state` bag for middleware, ack/nack helpers and the `signal` aborted
+   *   when the handler times out
+   */
+  createContext(channel, msg, consumeOptions) {
+    const content = msg.content.toString();
+    let body;
+
+    try {
+      body = JSON.parse(content);
+    } catch (err) {
+      body = content;
+    }
+
+    const ctx = {
+      consumer: this,
+      queue: this.queue,
+      channel,
+      raw: msg,
+      content,
+      body,
+      // Parsed Message when the payload is one, otherwise null
+      message: body && typeof body === "object" && "type" in body ? Message.fromJSON(body) : null,
+      state: {},
+      settled: false,
+      signal: null,
+      // Handler still running after its timeout; holds the message's slot
+      abandonedHandler: null,
+    };
+
+    const settle = (action, settleFn) => {
+      if (consumeOptions.noAck) {
+        throw new Error(`Cannot ${action} a message consumed with noAck`);
+      }
+
+      if (ctx.settled) {
+        logger.warn(`Ignoring ${action}: message already settled`);
+        return false;
+      }
+
+      settleFn();
+      ctx.settled = true;
+      return true;
+    };
+
+    // Settle the message from middleware; the consumer then leaves it alone
+    ctx.ack = () => settle("ack", () => channel.ack(msg));
+    ctx.nack = ({ requeue = false } = {}) =>
+      settle("nack", () => channel.nack(msg, false, requeue));
+
+    return ctx;
+  }
+
+  /**
+   * Run the middleware pipeline and handler for one delivery, then ack it or
+   * settle the failure unless middleware already settled it
+   * @param {Object} ctx - Context built by createContext()
+   * @param {Function} messageHandler - Callback function to process the message
+   * @param {Object} consumeOptions - Consume options
+   * @returns {Promise<void>}
+   */
+  async processMessage(ctx, messageHandler, consumeOptions) {
+    const { channel, raw: msg } = ctx;
+
+    // Requeued by a drain that timed out before the handler got a slot
+    if (ctx.settled) {
+      return;
+    }
+
+    try {
+      logger.debug(`Received message from queue '${this.queue}': ${ctx.content}`);
+
+      // Process message with the middleware chain wrapped around the handler
+      await compose(this.middleware)(ctx, () => this.runHandler(ctx, messageHandler));
+
+      // Acknowledge the message if noAck is false
+      if (!consumeOptions.noAck && !ctx.settled) {
+        ctx.ack();
+        logger.debug("Message acknowledged");
+      }
+    } catch (error) {
+      this.handlerErrors++;
+      logger.error(`Error processing message: ${error.message}`);
+
+      if (!consumeOptions.noAck && !ctx.settled) {
+        await this.handleFailure(channel, msg, ctx.body, error);
+      }
+    }
+  }
+
+  /**
+   * Get the handler timeout for a message type
+   * @param {string} [type] - Message type
+   * @returns {number} Timeout in ms, 0 for no limit
+   */
+  getHandlerTimeout(type) {
+    return (type && this.handlerTimeoutsByType[type]) ?? this.handlerTimeout;
+  }
+
+  /**
+   * Call the message handler, failing the message if it outlives its timeout
+   *
+   * The handler receives the context as its third argument; `ctx.signal` is
+   * aborted on timeout so the handler can stop its own work (e.g. pass it to
+   * fetch()). Its message is settled by the failure policy right away, but a
+   * handler ignoring the signal keeps its concurrency slot and partition key
+   * until it returns, so the next message for the key never overlaps it.
+   * @param {Object} ctx - Context built by createContext()
+   * @param {Function} messageHandler - Callback function to process the message
+   * @returns {Promise<void>}
+   * @throws {HandlerTimeoutError} If the handler did not finish in time
+   */
+  async runHandler(ctx, messageHandler) {
+    const controller = new AbortController();
+    const timeout = this.getHandlerTimeout(ctx.message ? ctx.message.type : undefined);
+    ctx.signal = controller.signal;
+
+    const handling = Promise.resolve().then(() => messageHandler(ctx.body, ctx.raw, ctx));
+
+    if (!timeout) {
+      return handling;
+    }
+
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const properties = ctx.raw.properties || {};
+        const messageId = ctx.message ? ctx.message.id : properties.messageId || "unknown";
+        const error = new HandlerTimeoutError(messageId, timeout);
+
+        this.handlerTimeouts++;
+        logger.warn(
+          `Aborting handler for message ${messageId} on '${this.queue}': ${error.message}`
+        );
+        controller.abort(error);
+        ctx.abandonedHandler = handling;
+        reject(error);
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([handling, expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get prefetch and in-flight handler metrics
+   * @returns {Object} Consumer statistics
+   */
+  getStats() {
+    return {
+      service: this.service,
+      queue: this.queue,
+      consumerTag: this.consumerTag,
+      prefetch: this.prefetch,
+      handlerErrors: this.handlerErrors,
+      handlerTimeouts: this.handlerTimeouts,
+      dedup: this.deduplicator ? this.deduplicator.getStats() : null,
+      ...this.limiter.getStats(),
+    };
+  }
+
+  /**
+   * Settle a message whose handler failed: schedule a retry (or park it) when
+   * retries are enabled, otherwise reject it without requeueing
+   * @param {amqp.Channel} channel - Channel the message was delivered on
+   * @param {Object} msg - amqplib message
+   * @param {Object|string} content - Parsed message content
+   * @param {Error} error - Handler error
+   * @returns {Promise<void>}
+   */
+  async handleFailure(channel, msg, content, error) {
+    // Retrying cannot help a message nobody handles
+    if (error instanceof UnhandledMessageError) {
+      await this.settleUnhandled(channel, msg, error);
+      return;
+    }
+
+    if (this.retry) {
+      try {
+        await this.retry.handleFailure(channel, msg, content, error);
+        channel.ack(msg);
+        return;
+      } catch (retryError) {
+        logger.error(`Failed to schedule retry: ${retryError.message}`);
+      }
+    }
+
+    channel.reject(msg, false); // Don't requeue to avoid poison messages
+    logger.debug("Message rejected (not requeued)");
+  }
+
+  /**
+   * Settle a message no handler is registered for according to the router's policy
+   * @param {amqp.Channel} channel - Channel the message was delivered on
+   * @param {Object} msg - amqplib message
+   * @param {UnhandledMessageError} error - Routing error carrying the action
+   * @returns {Promise<void>}
+   */
+  async settleUnhandled(channel, msg, error) {
+    if (error.action === "dead-letter") {
+      const properties = msg.properties || {};
+      const headers = properties.headers || {};
+      const fields = msg.fields || {};
+      const routingKey = fields.routingKey || "";
+
+      // Publish with the reason attached rather than relying on the queue's x-dead-letter-exchange.
+      // A direct publish gets no x-death, so record where the message came from for replays
+      channel.publish(this.deadLetter.exchange, routingKey, msg.content, {
+        ...properties,
+        headers: {
+          ...headers,
+          [RETRY_HEADERS.ORIGINAL_EXCHANGE]:
+            headers[RETRY_HEADERS.ORIGINAL_EXCHANGE] ?? fields.exchange ?? "",
+          [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]:
+            headers[RETRY_HEADERS.ORIGINAL_ROUTING_KEY] ?? routingKey,
+          [RETRY_HEADERS.ORIGINAL_QUEUE]: this.queue,
+          [RETRY_HEADERS.LAST_ERROR]: error.message,
+        },
+      });
+      channel.ack(msg);
+      logger.warn(
+        `Message moved to dead-letter exchange '${this.deadLetter.exchange}': ${error.message}`
+      );
+      return;
+    }
+
+    channel.reject(msg, false);
+    logger.warn(`Message rejected: ${error.message}`);
+  }
+
+  /**
+   * Restart consuming with the previous handler and options after a reconnect
+   * @returns {Promise<string>} New consumer tag
+   */
+  async recover() {
+    this.consumerTag = null;
+    this.channelPromise = null;
+    this.channel = null;
+
+    // Deliveries not yet handled died with the old channel and will be redelivered
+    const dropped = this.limiter.clear();
+    if (dropped > 0) {
+      logger.info(`Dropped ${dropped} pending message(s) from the closed channel`);
+    }
+
+    return this.consume(this.messageHandler, this.consumeOptions);
+  }
+
   /**
    * Cancel consuming messages
    * @returns {Promise<void>}
    */
   async cancel() {
     try {
+      this.connection.unregisterConsumer(this);
+
       if (this.consumerTag) {
-        const channel = await rabbitMQConnection.createChannel();
+        const channel = await this.getChannel();
         await channel.cancel(this.consumerTag);
         logger.info(`Consumer '${this.consumerTag}' cancelled`);
         this.consumerTag = null;
@@ -135,12 +742,75 @@ class Consumer {
   }
 
   /**
-   * Close the consumer
+   * Stop receiving deliveries and wait for the ones already received to finish
+   *
+   * Handlers still running at the deadline are left to finish, but their
+   * messages are nacked with requeue so another consumer picks them up; messages
+   * still waiting for a handler slot are requeued without running.
+   * @param {number} [timeout] - Max wait in ms
+   * @returns {Promise<boolean>} True if every delivery finished in time
    */
-  async close() {
+  async drain(timeout = this.drainTimeout) {
+    await this.cancel();
+
+    if (this.deliveries.size === 0) {
+      return true;
+    }
+
+    logger.info(
+      `Draining ${this.deliveries.size} in-flight message(s) from '${this.queue}' ` +
+        `(timeout: ${timeout}ms)...`
+    );
+
+    if (await settleWithin(this.limiter.onIdle(), timeout)) {
+      logger.info(`All in-flight messages from '${this.queue}' finished`);
+      return true;
+    }
+
+    let requeued = 0;
+
+    for (const ctx of this.deliveries) {
+      if (!ctx.settled && !this.consumeOptions.noAck && ctx.nack({ requeue: true })) {
+        requeued++;
+      }
+    }
+
+    this.limiter.clear();
+
+    logger.warn(
+      `Drain of '${this.queue}' timed out after ${timeout}ms: requeued ${requeued} unfinished message(s)`
+    );
+    return false;
+  }
+
+  /**
+   * Close the consumer and its channel, draining in-flight messages first
+   *
+   * The underlying connection is shared and stays open; close it through
+   * the connection manager. close() never waits for a reconnect: a channel
+   * still being opened is closed once it opens.
+   * @param {Object} [options] - Close options
+   * @param {number} [options.drainTimeout] - Max wait in ms for in-flight handlers
+   */
+  async close({ drainTimeout = this.drainTimeout } = {}) {
     try {
-      await this.cancel();
-      await rabbitMQConnection.close();
+      await this.drain(drainTimeout);
+
+      const { channel, channelPromise } = this;
+      this.channel = null;
+      this.channelPromise = null;
+
+      if (channel) {
+        await channel.close();
+        logger.info("Consumer channel closed");
+      } else if (channelPromise) {
+        // Still opening, e.g. during a reconnect: close it once open rather than wait
+        channelPromise.then((opened) => opened.close()).catch(() => {});
+      }
+
+      if (this.deduplicator) {
+        await this.deduplicator.close();
+      }
     } catch (error) {
       logger.error(`Error while closing consumer: ${error.message}`);
       throw error;
@@ -0,0 +1,232 @@
+/**
+ * RabbitMQ Deduplication Store Module
+ *
+ * This module provides stores that remember which messages were already
+ * processed. Every store implements the same async interface so consumers
+ * can swap them freely:
+ *
+ *   has(key)        -> Promise<boolean>
+ *   add(key, ttl)   -> Promise<void>
+ *   close()         -> Promise<void>
+ */
+import fs from "fs/promises";
+import path from "path";
+import logger from "../config/logger.js";
+import { sharedByFile } from "../utils/files.js";
+
+/**
+ * In-memory store evicting the least recently used keys once full
+ */
+export class MemoryDedupStore {
+  /**
+   * Create a new in-memory store
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxSize] - Max number of keys kept
+   */
+  constructor({ maxSize = 10000 } = {}) {
+    this.maxSize = maxSize;
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of keys currently held
+   * @returns {number} Store size
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Check whether a key was recorded and has not expired
+   * @param {string} key - Deduplication key
+   * @returns {Promise<boolean>} True if the key is known
+   */
+  async has(key) {
+    const expiresAt = this.entries.get(key);
+
+    if (expiresAt === undefined) {
+      return false;
+    }
+
+    if (expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return false;
+    }
+
+    // Mark as recently used
+    this.entries.delete(key);
+    this.entries.set(key, expiresAt);
+    return true;
+  }
+
+  /**
+   * Record a key
+   * @param {string} key - Deduplication key
+   * @param {number} ttl - Time in ms to remember the key
+   * @returns {Promise<void>}
+   */
+  async add(key, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, Date.now() + ttl);
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Release the store
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Store persisting keys to a JSON file so they survive restarts
+ *
+ * Keys live in memory like MemoryDedupStore; every add rewrites the file
+ * (writes are serialized and coalesced), and the file is loaded on first use.
+ */
+export class FileDedupStore extends MemoryDedupStore {
+  /**
+   * Create a new file-backed store
+   * @param {Object} options - Store options
+   * @param {string} options.file - Path of the JSON file
+   * @param {number} [options.maxSize] - Max number of keys kept
+   */
+  constructor({ file, maxSize } = {}) {
+    super({ maxSize });
+
+    if (!file) {
+      throw new Error("FileDedupStore requires a file path");
+    }
+
+    this.file = file;
+    this.loadPromise = null;
+    this.writing = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Load persisted keys, dropping the ones that already expired
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const saved = JSON.parse(await fs.readFile(this.file, "utf8"));
+          const now = Date.now();
+
+          for (const [key, expiresAt] of saved) {
+            if (expiresAt > now) {
+              this.entries.set(key, expiresAt);
+            }
+          }
+
+          logger.info(`Loaded ${this.entries.size} processed message id(s) from ${this.file}`);
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            // Starting empty would process every message again
+            this.loadPromise = null;
+            throw error;
+          }
+        }
+      })();
+    }
+
+    return this.loadPromise;
+  }
+
+  async has(key) {
+    await this.load();
+    return super.has(key);
+  }
+
+  async add(key, ttl) {
+    await this.load();
+    await super.add(key, ttl);
+    await this.persist();
+  }
+
+  /**
+   * Write the keys to disk, coalescing adds that arrive during a write
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    this.dirty = true;
+
+    while (this.writing) {
+      await this.writing;
+    }
+
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    this.writing = this.writeFile().finally(() => {
+      this.writing = null;
+    });
+
+    await this.writing;
+  }
+
+  /**
+   * Atomically replace the file with the current keys
+   *
+   * The temp file is flushed to disk before the rename, so a crash cannot
+   * leave an empty file in place of the keys.
+   * @returns {Promise<void>}
+   */
+  async writeFile() {
+    const tmpFile = `${this.file}.tmp`;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    const handle = await fs.open(tmpFile, "w");
+
+    try {
+      await handle.writeFile(JSON.stringify([...this.entries]));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.rename(tmpFile, this.file);
+  }
+
+  async close() {
+    while (this.writing) {
+      await this.writing;
+    }
+  }
+}
+
+const fileStores = new Map();
+
+/**
+ * Create a deduplication store from config
+ *
+ * File stores are shared by every consumer configured with the same file.
+ * @param {Object} options - Store options
+ * @param {string} options.store - "memory" or "file"
+ * @param {number} [options.maxSize] - Max number of keys kept
+ * @param {string} [options.file] - Path of the JSON file for the file store
+ * @returns {MemoryDedupStore|FileDedupStore} Store
+ */
+export const createDedupStore = ({ store, maxSize, file }) => {
+  switch (store) {
+    case "memory":
+      return new MemoryDedupStore({ maxSize });
+    case "file":
+      return sharedByFile(
+        fileStores,
+        file,
+        (resolved) => new FileDedupStore({ file: resolved, maxSize })
+      );
+    default:
+      throw new Error(`Unknown dedup store: ${store}`);
+  }
+};
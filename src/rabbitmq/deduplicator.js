@@ -0,0 +1,107 @@
+/**
+ * RabbitMQ Deduplicator Module
+ *
+ * This module makes consumers idempotent. RabbitMQ delivers at least once, so
+ * a message can arrive again after a reconnect or a lost ack. The deduplicator
+ * runs as consumer middleware: it skips messages whose key is already in the
+ * dedup store and records the key only after the handler succeeded, so failed
+ * messages are still retried.
+ */
+import logger from "../config/logger.js";
+
+/**
+ * Default key: the queue and the id of the parsed Message
+ *
+ * Every service queue receives its own copy of a message, so the id alone
+ * would let one service skip a message another service processed.
+ * @param {Object} ctx - Consumer middleware context
+ * @returns {string|null} Deduplication key
+ */
+const messageIdKey = (ctx) => (ctx.message ? `${ctx.queue}:${ctx.message.id}` : null);
+
+class Deduplicator {
+  /**
+   * Create a new deduplicator
+   * @param {Object} options - Deduplicator options
+   * @param {Object} options.store - Dedup store (see dedup_store.js)
+   * @param {number} options.ttl - Time in ms to remember processed keys
+   * @param {Function} [options.keyOf] - (ctx) => key; defaults to the queue and Message id
+   */
+  constructor({ store, ttl, keyOf = messageIdKey }) {
+    this.store = store;
+    this.ttl = ttl;
+    this.keyOf = keyOf;
+    // Keys being checked or processed right now, so a concurrent redelivery waits for the outcome
+    this.pending = new Map();
+    this.stats = {
+      processed: 0,
+      duplicates: 0,
+      unkeyed: 0,
+    };
+  }
+
+  /**
+   * Consumer middleware skipping already processed messages
+   * @returns {Function} async (ctx, next) => void
+   */
+  middleware() {
+    return async (ctx, next) => {
+      const key = this.keyOf(ctx);
+
+      if (!key) {
+        this.stats.unkeyed++;
+        logger.debug("Message has no deduplication key, processing without dedup");
+        return next();
+      }
+
+      while (this.pending.has(key)) {
+        await this.pending.get(key);
+      }
+
+      // Reserve the key before the first await so a concurrent redelivery waits
+      let release;
+      this.pending.set(
+        key,
+        new Promise((resolve) => {
+          release = resolve;
+        })
+      );
+
+      try {
+        if (await this.store.has(key)) {
+          this.stats.duplicates++;
+          ctx.state.duplicate = true;
+          logger.info(`Skipping duplicate message ${key}: already processed`);
+          return;
+        }
+
+        await next();
+
+        // Only a successful handler marks the message as done
+        await this.store.add(key, this.ttl);
+        this.stats.processed++;
+      } finally {
+        this.pending.delete(key);
+        release();
+      }
+    };
+  }
+
+  /**
+   * Get processed and duplicate counters
+   * @returns {Object} Deduplication statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Release the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.store.close();
+  }
+}
+
+export default Deduplicator;
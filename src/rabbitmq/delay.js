@@ -0,0 +1,185 @@
+/**
+ * RabbitMQ Delayed Delivery Module
+ *
+ * This module delays messages with nothing but a stock RabbitMQ. A delayed
+ * message is published to a headers exchange that routes it, by its
+ * `x-delay-ms` header, to a queue whose TTL is that delay; when the TTL
+ * expires RabbitMQ dead-letters the message into the target exchange with
+ * its original routing key:
+ *
+ *   <delay exchange> ──(x-delay-ms)──▶ <delay exchange>.<ms> ──(TTL, DLX)──▶ exchange
+ *
+ * A queue holds messages with one delay only, so none waits behind a later
+ * one. Delays are rounded up to a granularity so similar delays share a
+ * queue, and queues delete themselves once idle. The in-process scheduler
+ * stands in for the broker in tests; its messages do not survive a restart.
+ */
+import logger from "../config/logger.js";
+
+export const DELAY_HEADER = "x-delay-ms";
+
+// How long an idle delay queue outlives its last message
+const DELAY_QUEUE_EXPIRY_GRACE = 60000;
+
+// Max TTL and expiry accepted by RabbitMQ (about 49 days), less the grace
+// period so a queue's expiry stays within the limit as well
+export const MAX_DELAY = 2 ** 32 - 1 - DELAY_QUEUE_EXPIRY_GRACE;
+
+export const DELAY_MODES = ["broker", "memory"];
+
+// Longest setTimeout() delay; longer ones overflow and fire at once
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Copy a Message with its delay recorded in the metadata
+ *
+ * The caller's Message is left alone, so a failed publish does not mark it
+ * as delayed.
+ * @param {Object|string} message - Message being delayed
+ * @param {number} delay - Delay in ms
+ * @param {Date} deliverAt - When the message becomes due
+ * @returns {Object|string} Copy with the delay recorded, or the message itself without metadata
+ */
+export const withDelay = (message, delay, deliverAt) => {
+  if (!message || typeof message !== "object" || !message.metadata) {
+    return message;
+  }
+
+  return Object.assign(Object.create(Object.getPrototypeOf(message)), message, {
+    metadata: {
+      ...message.metadata,
+      delay,
+      scheduledAt: new Date().toISOString(),
+      deliverAt: deliverAt.toISOString(),
+    },
+  });
+};
+
+/**
+ * TTL queues holding delayed messages until they are due
+ */
+export class DelayQueues {
+  /**
+   * Create the delay queues of an exchange
+   * @param {Object} options - Delay options
+   * @param {string} options.exchange - Headers exchange delayed messages are published to
+   * @param {string} options.target - Exchange messages are dead-lettered into once due
+   * @param {number} options.granularity - Delays are rounded up to a multiple of this, in ms
+   */
+  constructor({ exchange, target, granularity }) {
+    this.exchange = exchange;
+    this.target = target;
+    this.granularity = Math.max(1, granularity);
+    // Channel the delay exchange was last declared on
+    this.declaredChannel = null;
+  }
+
+  /**
+   * Round a delay up to the granularity
+   * @param {number} delay - Delay in ms
+   * @returns {number} Delay of the queue holding the message
+   */
+  roundDelay(delay) {
+    return Math.min(Math.ceil(delay / this.granularity) * this.granularity, MAX_DELAY);
+  }
+
+  /**
+   * Name of the queue holding messages for a delay
+   * @param {number} delay - Rounded delay in ms
+   * @returns {string} Queue name
+   */
+  getQueueName(delay) {
+    return `${this.exchange}.${delay}`;
+  }
+
+  /**
+   * Declare the delay exchange and the queue for a delay
+   *
+   * Declaring the queue again on every publish keeps it from expiring while
+   * it is in use, so the queues are not recorded for recovery.
+   * @param {amqp.Channel} channel - Channel to declare on
+   * @param {number} delay - Rounded delay in ms
+   * @returns {Promise<string>} Queue name
+   */
+  async assert(channel, delay) {
+    const queue = this.getQueueName(delay);
+
+    if (this.declaredChannel !== channel) {
+      await channel.assertExchange(this.exchange, "headers", { durable: true });
+      this.declaredChannel = channel;
+    }
+
+    await channel.assertQueue(queue, {
+      durable: true,
+      arguments: {
+        "x-message-ttl": delay,
+        // No dead-letter routing key: due messages keep the one they were published with
+        "x-dead-letter-exchange": this.target,
+        "x-expires": delay + DELAY_QUEUE_EXPIRY_GRACE,
+      },
+    });
+    await channel.bindQueue(queue, this.exchange, "", {
+      "x-match": "all",
+      [DELAY_HEADER]: String(delay),
+    });
+
+    return queue;
+  }
+}
+
+/**
+ * In-process stand-in for the delay queues, e.g. for tests
+ */
+export class InProcessScheduler {
+  constructor() {
+    this.timers = new Set();
+  }
+
+  /**
+   * Run a task after a delay
+   *
+   * Delays beyond what setTimeout() accepts are waited out in several timers.
+   * @param {number} delay - Delay in ms
+   * @param {Function} task - async () => void
+   */
+  schedule(delay, task) {
+    const wait = Math.min(delay, MAX_TIMER_DELAY);
+
+    const timer = setTimeout(async () => {
+      this.timers.delete(timer);
+
+      if (delay > wait) {
+        this.schedule(delay - wait, task);
+        return;
+      }
+
+      try {
+        await task();
+      } catch (error) {
+        logger.error(`Scheduled publish failed: ${error.message}`);
+      }
+    }, wait);
+
+    this.timers.add(timer);
+  }
+
+  /**
+   * Number of tasks waiting to run
+   * @returns {number} Pending tasks
+   */
+  get size() {
+    return this.timers.size;
+  }
+
+  /**
+   * Cancel every pending task
+   */
+  close() {
+    if (this.timers.size > 0) {
+      logger.warn(`Dropping ${this.timers.size} scheduled publish(es) not yet due`);
+    }
+
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
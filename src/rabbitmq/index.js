@@ -5,7 +5,10 @@
  * from a single entry point.
  */
 import connection from "./connection.js";
+import connectionManager from "./connection_manager.js";
 import Publisher from "./publisher.js";
 import Consumer from "./consumer.js";
+import MessageRouter from "./message_router.js";
+import { compose, logMessages } from "./middleware.js";
 
-export { connection, Publisher, Consumer };
+export { connection, connectionManager, Publisher, Consumer, MessageRouter, compose, logMessages };
@@ -0,0 +1,148 @@
+/**
+ * RabbitMQ Message Router Module
+ *
+ * This module dispatches consumed messages to handlers registered per message
+ * type. Patterns use the same syntax as topic exchange bindings: `*` matches
+ * exactly one dot-separated word and `#` matches zero or more words, so
+ * `user.*` matches `user.registered` and `order.#` matches `order` as well as
+ * `order.item.added`.
+ */
+import { rabbitmqConfig } from "../config/index.js";
+import { Message } from "../models/index.js";
+import { UnhandledMessageError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+export const UNHANDLED_POLICIES = ["ack", "reject", "dead-letter"];
+
+/**
+ * Check a message type against a topic-style pattern
+ * @param {string} pattern - Pattern such as `user.*` or `order.#`
+ * @param {string} type - Message type
+ * @returns {boolean} True if the type matches
+ */
+export const matchesPattern = (pattern, type) => {
+  const matchWords = (patternWords, typeWords) => {
+    if (patternWords.length === 0) {
+      return typeWords.length === 0;
+    }
+
+    const [word, ...restPattern] = patternWords;
+
+    if (word === "#") {
+      // Match zero words, or consume one word and try again
+      return (
+        matchWords(restPattern, typeWords) ||
+        (typeWords.length > 0 && matchWords(patternWords, typeWords.slice(1)))
+      );
+    }
+
+    if (typeWords.length === 0) {
+      return false;
+    }
+
+    return (word === "*" || word === typeWords[0]) && matchWords(restPattern, typeWords.slice(1));
+  };
+
+  return matchWords(pattern.split("."), type.split("."));
+};
+
+class MessageRouter {
+  /**
+   * Create a new message router
+   * @param {Object} [options] - Router options
+   * @param {string} [options.unhandled] - What to do with messages no handler matches:
+   *   "ack" drops them, "reject" rejects them without retries (the broker then
+   *   dead-letters them if the queue has a dead-letter exchange) and "dead-letter"
+   *   publishes them to the dead-letter exchange with the reason in `x-last-error`
+   */
+  constructor(options = {}) {
+    const unhandled = options.unhandled || rabbitmqConfig.consumer.unhandledPolicy;
+
+    if (!UNHANDLED_POLICIES.includes(unhandled)) {
+      throw new Error(`Unknown unhandled message policy: ${unhandled}`);
+    }
+
+    this.unhandled = unhandled;
+    this.routes = [];
+    this.fallbackHandler = null;
+  }
+
+  /**
+   * Register a handler for a message type pattern
+   *
+   * Several handlers may match the same type; they run one after another in
+   * registration order and a failure in any of them fails the message.
+   * @param {string} pattern - Message type or topic-style pattern
+   * @param {Function} handler - async (message, originalMessage, ctx) => void
+   * @returns {MessageRouter} This router, for chaining
+   */
+  on(pattern, handler) {
+    if (typeof handler !== "function") {
+      throw new Error(`Handler for '${pattern}' must be a function`);
+    }
+
+    this.routes.push({ pattern, handler });
+    return this;
+  }
+
+  /**
+   * Register the handler for messages no pattern matches
+   * @param {Function} handler - async (message, originalMessage, ctx) => void
+   * @returns {MessageRouter} This router, for chaining
+   */
+  fallback(handler) {
+    this.fallbackHandler = handler;
+    return this;
+  }
+
+  /**
+   * Get the handlers registered for a message type
+   * @param {string} type - Message type
+   * @returns {Function[]} Matching handlers in registration order
+   */
+  getHandlers(type) {
+    return this.routes
+      .filter((route) => matchesPattern(route.pattern, type))
+      .map((route) => route.handler);
+  }
+
+  /**
+   * Dispatch a consumed message to its handlers
+   *
+   * Use as (or from) a Consumer message handler. When the consumer aborts a
+   * timed out delivery, handlers not yet started are skipped.
+   * @param {Object|string} content - Parsed message content
+   * @param {Object} originalMessage - Original amqplib message
+   * @param {Object} [ctx] - Consumer context, passed on to the handlers
+   * @returns {Promise<void>}
+   * @throws {UnhandledMessageError} If nothing handles the message and the
+   *   unhandled policy is "reject" or "dead-letter"
+   */
+  async route(content, originalMessage, ctx) {
+    const message = content instanceof Message ? content : Message.fromJSON(content);
+    const handlers = this.getHandlers(message.type);
+
+    if (handlers.length === 0 && this.fallbackHandler) {
+      handlers.push(this.fallbackHandler);
+    }
+
+    if (handlers.length === 0) {
+      if (this.unhandled === "ack") {
+        logger.warn(`Unhandled message type: ${message.type}`);
+        return;
+      }
+
+      throw new UnhandledMessageError(message.type, this.unhandled);
+    }
+
+    for (const handler of handlers) {
+      if (ctx && ctx.signal) {
+        ctx.signal.throwIfAborted();
+      }
+
+      await handler(message, originalMessage, ctx);
+    }
+  }
+}
+
+export default MessageRouter;
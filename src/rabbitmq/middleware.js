@@ -0,0 +1,76 @@
+/**
+ * RabbitMQ Middleware Module
+ *
+ * This module runs Koa-style middleware chains for consumers and publishers.
+ * Each middleware receives a context and a `next` function; code before
+ * `await next()` runs on the way in, code after it on the way out, and a
+ * try/catch around `await next()` sees every error raised further down.
+ *
+ *   consumer.use(async (ctx, next) => {
+ *     const start = Date.now();
+ *     await next();
+ *     logger.info(`${ctx.message.type} handled in ${Date.now() - start}ms`);
+ *   });
+ */
+import logger from "../config/logger.js";
+
+/**
+ * Compose middleware into a single function
+ * @param {Function[]} middleware - async (ctx, next) => void
+ * @returns {Function} (ctx, last) => Promise; `last` runs after the final middleware
+ */
+export const compose = (middleware) => {
+  middleware.forEach((fn) => {
+    if (typeof fn !== "function") {
+      throw new Error("Middleware must be a function");
+    }
+  });
+
+  return (ctx, last) => {
+    let index = -1;
+
+    const dispatch = (i) => {
+      if (i <= index) {
+        return Promise.reject(new Error("next() called multiple times"));
+      }
+
+      index = i;
+      const fn = i === middleware.length ? last : middleware[i];
+
+      if (!fn) {
+        return Promise.resolve();
+      }
+
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  };
+};
+
+/**
+ * Consumer middleware logging each message, its handling time and any failure
+ * @param {string} [label] - Prefix for the log lines, e.g. the service name
+ * @returns {Function} Middleware
+ */
+export const logMessages =
+  (label = "Consumer") =>
+  async (ctx, next) => {
+    const { message } = ctx;
+    const description = message ? `${message.id} (${message.type})` : "non-Message payload";
+    const start = Date.now();
+
+    logger.info(`${label}: received message ${description}`);
+
+    try {
+      await next();
+      logger.debug(`${label}: handled message ${description} in ${Date.now() - start}ms`);
+    } catch (error) {
+      logger.error(`${label}: failed to handle message ${description}: ${error.message}`);
+      throw error;
+    }
+  };
@@ -0,0 +1,251 @@
+/**
+ * RabbitMQ Outbound Buffer Module
+ *
+ * This module provides a bounded in-process buffer that holds publishes while
+ * a channel's write buffer is full and flushes them once the channel drains.
+ * If the channel closes before it drains, the publishes buffered for it are
+ * rejected and publishes for other channels are flushed.
+ */
+import logger from "../config/logger.js";
+import { BackpressureError, MessageQueueError } from "../utils/errors.js";
+
+export const BACKPRESSURE_POLICIES = ["block", "reject", "drop-oldest"];
+
+class OutboundBuffer {
+  /**
+   * Create a new outbound buffer
+   * @param {Object} options - Buffer options
+   * @param {number} options.maxSize - Max number of buffered publishes
+   * @param {string} options.policy - What to do when full: block, reject or drop-oldest
+   */
+  constructor({ maxSize, policy }) {
+    if (!BACKPRESSURE_POLICIES.includes(policy)) {
+      throw new Error(`Unknown backpressure policy: ${policy}`);
+    }
+
+    this.maxSize = maxSize;
+    this.policy = policy;
+    this.writable = true;
+    this.blockedSince = null;
+    this.entries = [];
+    this.spaceWaiters = [];
+    this.stats = {
+      buffered: 0,
+      flushed: 0,
+      rejected: 0,
+      dropped: 0,
+      drainWaits: 0,
+      lastWaitMs: 0,
+      maxWaitMs: 0,
+      totalWaitMs: 0,
+    };
+  }
+
+  /**
+   * Number of publishes currently waiting in the buffer
+   * @returns {number} Buffer depth
+   */
+  get depth() {
+    return this.entries.length;
+  }
+
+  /**
+   * Write to the channel, buffering the write while the channel is not writable
+   * @param {amqp.Channel} channel - Channel being written to
+   * @param {Function} writeFn - Performs the actual channel.publish and returns its result
+   * @returns {Promise<boolean>} Result of the channel write
+   */
+  async write(channel, writeFn) {
+    if (!this.canWrite() && this.entries.length >= this.maxSize) {
+      await this.makeRoom();
+    }
+
+    if (this.canWrite()) {
+      return this.runWrite(channel, writeFn);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.entries.push({ channel, writeFn, resolve, reject, enqueuedAt: Date.now() });
+      this.stats.buffered++;
+    });
+  }
+
+  /**
+   * Whether a write can go to the channel without waiting behind buffered ones
+   * @returns {boolean} True when writable and nothing is buffered
+   */
+  canWrite() {
+    return this.writable && this.entries.length === 0;
+  }
+
+  /**
+   * Apply the configured policy when the buffer is full
+   * @returns {Promise<void>}
+   */
+  async makeRoom() {
+    switch (this.policy) {
+      case "reject":
+        this.stats.rejected++;
+        throw new BackpressureError(`Outbound buffer is full (${this.maxSize} messages)`);
+
+      case "drop-oldest": {
+        const oldest = this.entries.shift();
+
+        if (!oldest) {
+          // Nothing to drop (maxSize 0): the new message has no room either
+          this.stats.rejected++;
+          throw new BackpressureError("Outbound buffer has no room (0 messages)");
+        }
+
+        this.stats.dropped++;
+        logger.warn("Outbound buffer is full - dropping oldest buffered message");
+        oldest.reject(new BackpressureError("Message dropped from full outbound buffer"));
+        break;
+      }
+
+      default:
+        // block: wait until a flush frees a slot or the channel is writable again
+        while (!this.canWrite() && this.entries.length >= this.maxSize) {
+          await new Promise((resolve) => this.spaceWaiters.push(resolve));
+        }
+    }
+  }
+
+  /**
+   * Run a single channel write and start waiting for drain if it filled the channel
+   * @param {amqp.Channel} channel - Channel being written to
+   * @param {Function} writeFn - Write function
+   * @returns {boolean} Result of the channel write
+   */
+  runWrite(channel, writeFn) {
+    const result = writeFn();
+
+    if (!result) {
+      this.waitForDrain(channel);
+    }
+
+    return result;
+  }
+
+  /**
+   * Mark the buffer as not writable until the channel emits 'drain'
+   *
+   * A channel that closes or errors first never drains: the buffer becomes
+   * writable again so publishes on the next channel are not stuck behind it.
+   * @param {amqp.Channel} channel - Channel being written to
+   */
+  waitForDrain(channel) {
+    if (!this.writable) {
+      return;
+    }
+
+    this.writable = false;
+    this.blockedSince = Date.now();
+    logger.warn("Channel write buffer is full - buffering publishes until drain");
+
+    const onDrain = () => {
+      removeListeners();
+      const waitMs = this.resume();
+      this.stats.drainWaits++;
+      this.stats.lastWaitMs = waitMs;
+      this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+      this.stats.totalWaitMs += waitMs;
+
+      logger.info(`Channel drained after ${waitMs}ms, flushing ${this.entries.length} message(s)`);
+      this.flush();
+    };
+
+    const onClose = () => {
+      removeListeners();
+      this.resume();
+      this.rejectEntries(channel);
+      this.flush();
+    };
+
+    const removeListeners = () => {
+      channel.removeListener("drain", onDrain);
+      channel.removeListener("close", onClose);
+      channel.removeListener("error", onClose);
+    };
+
+    channel.once("drain", onDrain);
+    channel.once("close", onClose);
+    channel.once("error", onClose);
+  }
+
+  /**
+   * Mark the buffer as writable again and wake callers waiting for room
+   * @returns {number} Time in ms the buffer was not writable
+   */
+  resume() {
+    const waitMs = Date.now() - this.blockedSince;
+    this.writable = true;
+    this.blockedSince = null;
+    this.spaceWaiters.splice(0).forEach((waiter) => waiter());
+
+    return waitMs;
+  }
+
+  /**
+   * Reject the buffered publishes of a channel that closed before draining
+   * @param {amqp.Channel} channel - Closed channel
+   */
+  rejectEntries(channel) {
+    const rejected = this.entries.filter((entry) => entry.channel === channel);
+
+    if (rejected.length === 0) {
+      return;
+    }
+
+    this.entries = this.entries.filter((entry) => entry.channel !== channel);
+    this.stats.rejected += rejected.length;
+    logger.warn(
+      `Channel closed before draining - rejecting ${rejected.length} buffered message(s)`
+    );
+
+    rejected.forEach((entry) =>
+      entry.reject(new MessageQueueError("Channel closed before the buffered message was sent"))
+    );
+  }
+
+  /**
+   * Write buffered publishes in order until the channel fills up again
+   */
+  flush() {
+    while (this.writable && this.entries.length > 0) {
+      const entry = this.entries.shift();
+
+      try {
+        entry.resolve(this.runWrite(entry.channel, entry.writeFn));
+        this.stats.flushed++;
+      } catch (error) {
+        entry.reject(error);
+      }
+
+      const waiter = this.spaceWaiters.shift();
+      if (waiter) {
+        waiter();
+      }
+    }
+  }
+
+  /**
+   * Get buffer depth, wait times and counters
+   * @returns {Object} Buffer statistics
+   */
+  getStats() {
+    return {
+      depth: this.entries.length,
+      maxSize: this.maxSize,
+      policy: this.policy,
+      writable: this.writable,
+      currentWaitMs: this.blockedSince ? Date.now() - this.blockedSince : 0,
+      avgWaitMs: this.stats.drainWaits
+        ? Math.round(this.stats.totalWaitMs / this.stats.drainWaits)
+        : 0,
+      ...this.stats,
+    };
+  }
+}
+
+export default OutboundBuffer;
@@ -0,0 +1,243 @@
+/**
+ * RabbitMQ Outbox Relay Module
+ *
+ * This module publishes the events recorded in an outbox store. The relay
+ * polls the store, publishes pending entries oldest first and marks each one
+ * sent once the publisher resolves (with confirms, once the broker has it).
+ * A failed publish is retried with exponential backoff; events are delivered
+ * at least once, so consumers should deduplicate on the message id.
+ *
+ * An event no queue is bound for is retried up to maxAttempts times (a
+ * binding may appear meanwhile), then marked failed so it stops blocking the
+ * events behind it. Other publish errors, such as a broker outage, would fail
+ * any event alike and are retried without limit.
+ */
+import { rabbitmqConfig } from "../config/index.js";
+import { OUTBOX_STATUS } from "./outbox_store.js";
+import { Message } from "../models/index.js";
+import { UnroutableMessageError, ValidationError } from "../utils/errors.js";
+import { settleWithin } from "../utils/async.js";
+import logger from "../config/logger.js";
+
+class OutboxRelay {
+  /**
+   * Create a new outbox relay
+   * @param {Object} options - Relay options
+   * @param {Object} options.store - Outbox store (see outbox_store.js)
+   * @param {Object} options.publisher - Anything with publish(message, routingKey, options)
+   * @param {number} [options.interval] - Poll interval in ms
+   * @param {number} [options.batchSize] - Max entries published per pass
+   * @param {number} [options.retryDelay] - Delay in ms before the first retry
+   * @param {number} [options.maxRetryDelay] - Max delay in ms between retries
+   * @param {number} [options.maxAttempts] - Attempts before an unroutable entry is marked failed
+   * @param {number} [options.sentRetention] - Time in ms sent entries are kept (0 = deleted once sent)
+   * @param {number} [options.stopTimeout] - Max time in ms stop() waits for the running pass
+   */
+  constructor({ store, publisher, ...options }) {
+    const config = { ...rabbitmqConfig.outbox, ...options };
+
+    this.store = store;
+    this.publisher = publisher;
+    this.interval = config.interval;
+    this.batchSize = config.batchSize;
+    this.retryDelay = config.retryDelay;
+    this.maxRetryDelay = config.maxRetryDelay;
+    this.maxAttempts = config.maxAttempts;
+    this.sentRetention = config.sentRetention;
+    this.stopTimeout = config.stopTimeout;
+    this.timer = null;
+    this.running = null;
+    this.rerun = false;
+    this.stopped = false;
+    this.stats = {
+      published: 0,
+      failures: 0,
+      abandoned: 0,
+    };
+  }
+
+  /**
+   * Start polling the store
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.stopped = false;
+    this.timer = setInterval(() => this.notify(), this.interval);
+    // Polling alone never keeps the process alive
+    this.timer.unref();
+    this.notify();
+
+    logger.info(`Outbox relay started (interval: ${this.interval}ms)`);
+  }
+
+  /**
+   * Run a relay pass now, e.g. right after an event was stored
+   *
+   * A call during a running pass schedules one more pass after it, so an
+   * event stored meanwhile is not left waiting for the next poll.
+   * @returns {Promise<void>} Resolves when the pass finishes
+   */
+  notify() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+
+    this.running = this.relay()
+      .catch((error) => {
+        logger.error(`Outbox relay pass failed: ${error.message}`);
+      })
+      .finally(() => {
+        this.running = null;
+
+        if (this.rerun) {
+          this.rerun = false;
+          this.notify();
+        }
+      });
+
+    return this.running;
+  }
+
+  /**
+   * Publish due entries oldest first
+   *
+   * The pass stops at the first failed publish so later events do not
+   * overtake it; invalid events that can never be published, and unroutable
+   * events out of attempts, are marked failed and skipped.
+   * @returns {Promise<number>} Number of entries published
+   */
+  async relay() {
+    const entries = await this.store.getPending(this.batchSize);
+    let published = 0;
+
+    for (const entry of entries) {
+      // A pass outliving stop() leaves the rest for the next run
+      if (this.stopped) {
+        break;
+      }
+
+      try {
+        await this.publisher.publish(
+          Message.fromJSON(entry.message),
+          entry.routingKey ?? undefined,
+          entry.options
+        );
+      } catch (error) {
+        if (
+          error instanceof ValidationError ||
+          (error instanceof UnroutableMessageError && entry.attempts + 1 >= this.maxAttempts)
+        ) {
+          await this.abandon(entry, error);
+          continue;
+        }
+
+        await this.scheduleRetry(entry, error);
+        break;
+      }
+
+      if (this.sentRetention > 0) {
+        await this.store.updateEntry(entry.id, {
+          status: OUTBOX_STATUS.SENT,
+          sentAt: Date.now(),
+          attempts: entry.attempts + 1,
+        });
+      } else {
+        await this.store.deleteEntry(entry.id);
+      }
+      this.stats.published++;
+      published++;
+    }
+
+    if (published > 0 && this.sentRetention > 0) {
+      logger.debug(`Outbox relay published ${published} event(s)`);
+      await this.store.pruneSent(Date.now() - this.sentRetention);
+    }
+
+    return published;
+  }
+
+  /**
+   * Delay before the next attempt of an entry
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+  }
+
+  /**
+   * Record a failed publish and schedule the next attempt
+   * @param {Object} entry - Outbox entry
+   * @param {Error} error - Publish error
+   * @returns {Promise<void>}
+   */
+  async scheduleRetry(entry, error) {
+    const attempts = entry.attempts + 1;
+    const delay = this.getRetryDelay(attempts);
+
+    await this.store.updateEntry(entry.id, {
+      attempts,
+      nextAttemptAt: Date.now() + delay,
+      lastError: error.message,
+    });
+    this.stats.failures++;
+
+    logger.warn(
+      `Failed to publish outbox event ${entry.id} (attempt ${attempts}), retrying in ${delay}ms: ${error.message}`
+    );
+  }
+
+  /**
+   * Mark an entry that can never be published as failed
+   * @param {Object} entry - Outbox entry
+   * @param {Error} error - Publish error
+   * @returns {Promise<void>}
+   */
+  async abandon(entry, error) {
+    await this.store.updateEntry(entry.id, {
+      status: OUTBOX_STATUS.FAILED,
+      attempts: entry.attempts + 1,
+      lastError: error.message,
+    });
+    this.stats.abandoned++;
+
+    logger.error(
+      `Outbox event ${entry.id} cannot be published and was abandoned: ${error.message}`
+    );
+  }
+
+  /**
+   * Get relay counters and outbox entry counts
+   * @returns {Promise<Object>} Relay statistics
+   */
+  async getStats() {
+    return {
+      ...this.stats,
+      ...(await this.store.countByStatus()),
+    };
+  }
+
+  /**
+   * Stop polling and wait for the current pass, but no longer than stopTimeout
+   *
+   * A pass stuck in a publish, e.g. while the broker is unreachable, is left
+   * behind; its event and the ones after it stay pending in the store.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.rerun = false;
+    this.stopped = true;
+
+    if (this.running && !(await settleWithin(this.running, this.stopTimeout))) {
+      logger.warn(`Outbox relay pass still running after ${this.stopTimeout}ms, stopping anyway`);
+    }
+  }
+}
+
+export default OutboxRelay;
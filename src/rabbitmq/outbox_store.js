@@ -0,0 +1,357 @@
+/**
+ * RabbitMQ Outbox Store Module
+ *
+ * This module provides the local store behind the transactional outbox.
+ * Domain records (e.g. users) and the events they raise live in the same
+ * store and are written in one transaction, so an event can never be lost
+ * or sent for a write that did not happen; the outbox relay publishes the
+ * pending events afterwards.
+ *
+ *   await store.transaction((tx) => {
+ *     tx.put("users", user.id, user.toJSON());
+ *     tx.enqueue(new Message(user.toJSON(), "user.registered"));
+ *   });
+ *
+ * Every store implements the same async interface so services can swap them
+ * freely; the file store survives restarts.
+ */
+import fs from "fs/promises";
+import path from "path";
+import logger from "../config/logger.js";
+import { sharedByFile } from "../utils/files.js";
+
+export const OUTBOX_COLLECTION = "outbox";
+
+export const OUTBOX_STATUS = Object.freeze({
+  PENDING: "pending",
+  SENT: "sent",
+  FAILED: "failed",
+});
+
+/**
+ * Changes collected by a transaction callback, applied only if it succeeds
+ */
+class OutboxTransaction {
+  constructor() {
+    this.writes = [];
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @param {Object} value - JSON-serializable record
+   */
+  put(collection, key, value) {
+    this.writes.push({ collection, key, value });
+  }
+
+  /**
+   * Delete a record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   */
+  delete(collection, key) {
+    this.writes.push({ collection, key, value: undefined });
+  }
+
+  /**
+   * Add an event to the outbox
+   * @param {Message} message - Message to publish
+   * @param {Object} [options] - Publish options
+   * @param {string} [options.routingKey] - Routing key; defaults to the publisher's choice
+   * @param {Object} [options.publishOptions] - Message options passed to publish()
+   * @returns {Object} Outbox entry, keyed by the message id
+   */
+  enqueue(message, { routingKey = null, publishOptions = {} } = {}) {
+    const now = Date.now();
+    const entry = {
+      id: message.id,
+      message: message.toJSON(),
+      routingKey,
+      options: publishOptions,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      sentAt: null,
+      lastError: null,
+    };
+
+    this.put(OUTBOX_COLLECTION, entry.id, entry);
+    return entry;
+  }
+}
+
+/**
+ * In-memory store; loses its records on restart
+ */
+export class MemoryOutboxStore {
+  constructor() {
+    // { [collection]: { [key]: record } }; object keys keep insertion order
+    this.collections = {};
+    // Transactions run one at a time so none overwrites another's changes
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Load persisted records
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Persist a new state before it becomes visible
+   * @param {Object} collections - State to persist
+   * @returns {Promise<void>}
+   */
+  async save() {}
+
+  /**
+   * Get a record
+   * @param {string} collection - Collection name
+   * @param {string} key - Record key
+   * @returns {Promise<Object|null>} Record, or null if missing
+   */
+  async get(collection, key) {
+    await this.load();
+    return (this.collections[collection] || {})[key] ?? null;
+  }
+
+  /**
+   * Get all records of a collection in insertion order
+   * @param {string} collection - Collection name
+   * @returns {Promise<Object[]>} Records
+   */
+  async values(collection) {
+    await this.load();
+    return Object.values(this.collections[collection] || {});
+  }
+
+  /**
+   * Apply the writes of a callback all together, or none of them
+   *
+   * The new state is persisted before it replaces the current one, so a
+   * failing callback or a failing write leaves the store unchanged.
+   * @param {Function} fn - (tx) => void; may be async
+   * @returns {Promise<*>} Result of the callback
+   */
+  transaction(fn) {
+    const run = this.lock.then(async () => {
+      await this.load();
+
+      const tx = new OutboxTransaction();
+      const result = await fn(tx);
+
+      const next = { ...this.collections };
+      for (const { collection, key, value } of tx.writes) {
+        next[collection] = { ...next[collection] };
+
+        if (value === undefined) {
+          delete next[collection][key];
+        } else {
+          next[collection][key] = value;
+        }
+      }
+
+      await this.save(next);
+      this.collections = next;
+      return result;
+    });
+
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get outbox entries due for publishing, oldest first
+   *
+   * Stops at the first pending entry waiting for a retry, so later events
+   * never overtake it.
+   * @param {number} limit - Max entries
+   * @param {number} [now] - Current time in ms
+   * @returns {Promise<Object[]>} Pending entries
+   */
+  async getPending(limit, now = Date.now()) {
+    const due = [];
+
+    for (const entry of await this.values(OUTBOX_COLLECTION)) {
+      if (entry.status !== OUTBOX_STATUS.PENDING) {
+        continue;
+      }
+
+      if (entry.nextAttemptAt > now || due.length >= limit) {
+        break;
+      }
+
+      due.push(entry);
+    }
+
+    return due;
+  }
+
+  /**
+   * Count outbox entries per status
+   * @returns {Promise<Object>} { pending, sent, failed }
+   */
+  async countByStatus() {
+    const counts = { pending: 0, sent: 0, failed: 0 };
+
+    for (const entry of await this.values(OUTBOX_COLLECTION)) {
+      counts[entry.status]++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Update an outbox entry
+   * @param {string} id - Entry id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<void>}
+   */
+  updateEntry(id, changes) {
+    return this.transaction((tx) => {
+      const entry = (this.collections[OUTBOX_COLLECTION] || {})[id];
+
+      if (entry) {
+        tx.put(OUTBOX_COLLECTION, id, { ...entry, ...changes });
+      }
+    });
+  }
+
+  /**
+   * Delete an outbox entry
+   * @param {string} id - Entry id
+   * @returns {Promise<void>}
+   */
+  deleteEntry(id) {
+    return this.transaction((tx) => tx.delete(OUTBOX_COLLECTION, id));
+  }
+
+  /**
+   * Delete sent entries older than a cutoff
+   * @param {number} before - Sent time in ms before which entries are deleted
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  pruneSent(before) {
+    return this.transaction((tx) => {
+      const entries = Object.values(this.collections[OUTBOX_COLLECTION] || {});
+      const expired = entries.filter(
+        (entry) => entry.status === OUTBOX_STATUS.SENT && entry.sentAt < before
+      );
+
+      expired.forEach((entry) => tx.delete(OUTBOX_COLLECTION, entry.id));
+      return expired.length;
+    });
+  }
+
+  /**
+   * Release the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.lock;
+  }
+}
+
+/**
+ * Store persisting every collection to one JSON file
+ *
+ * Each transaction writes the whole state to a temp file, fsyncs it, renames
+ * it over the file and fsyncs the directory before resolving, so a committed
+ * transaction survives a crash or power loss and a torn write never replaces
+ * the old state. The cost of a write grows with everything in the file; sent
+ * events are deleted right away unless a retention is configured.
+ */
+export class FileOutboxStore extends MemoryOutboxStore {
+  /**
+   * Create a new file-backed store
+   * @param {Object} options - Store options
+   * @param {string} options.file - Path of the JSON file
+   */
+  constructor({ file } = {}) {
+    super();
+
+    if (!file) {
+      throw new Error("FileOutboxStore requires a file path");
+    }
+
+    this.file = file;
+    this.loadPromise = null;
+  }
+
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          this.collections = JSON.parse(await fs.readFile(this.file, "utf8"));
+
+          const pending = Object.values(this.collections[OUTBOX_COLLECTION] || {}).filter(
+            (entry) => entry.status === OUTBOX_STATUS.PENDING
+          );
+          logger.info(`Loaded outbox store ${this.file} (${pending.length} pending event(s))`);
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            // Starting empty would silently drop unsent events
+            this.loadPromise = null;
+            throw error;
+          }
+        }
+      })();
+    }
+
+    return this.loadPromise;
+  }
+
+  async save(collections) {
+    const tmpFile = `${this.file}.tmp`;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await this.writeSynced(tmpFile, JSON.stringify(collections), "w");
+    await fs.rename(tmpFile, this.file);
+    // Makes the rename itself durable
+    await this.writeSynced(path.dirname(this.file), null, "r");
+  }
+
+  /**
+   * Open a file, optionally write it, and flush it to disk
+   * @param {string} file - File or directory path
+   * @param {string|null} data - Content to write, or null to only flush
+   * @param {string} flags - Open flags
+   * @returns {Promise<void>}
+   */
+  async writeSynced(file, data, flags) {
+    const handle = await fs.open(file, flags);
+
+    try {
+      if (data !== null) {
+        await handle.writeFile(data);
+      }
+
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+const fileStores = new Map();
+
+/**
+ * Create an outbox store from config
+ * @param {Object} options - Store options
+ * @param {string} options.store - "memory" or "file"
+ * @param {string} [options.file] - Path of the JSON file for the file store
+ * @returns {MemoryOutboxStore|FileOutboxStore} Store
+ */
+export const createOutboxStore = ({ store, file }) => {
+  switch (store) {
+    case "memory":
+      return new MemoryOutboxStore();
+    case "file":
+      return sharedByFile(fileStores, file, (resolved) => new FileOutboxStore({ file: resolved }));
+    default:
+      throw new Error(`Unknown outbox store: ${store}`);
+  }
+};
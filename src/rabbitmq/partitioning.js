@@ -0,0 +1,83 @@
+/**
+ * RabbitMQ Partitioning Module
+ *
+ * This module keeps related messages in order. A partition key (e.g. the
+ * user id in `data.id`) is extracted from each Message; consumers process
+ * messages with the same key one at a time, and publishers stamp the key in
+ * the `x-partition-key` header.
+ *
+ * With sharding, a consistent-hash exchange (rabbitmq_consistent_hash_exchange
+ * plugin) hashes that header to pick one of N shard queues, so every message
+ * for a key lands on the same queue and is handled by the one consumer
+ * reading that shard, even with several service instances:
+ *
+ *   exchange ──(bindings)──▶ <queue>.shards ──(hash of x-partition-key)──▶ <queue>.shard.<n>
+ */
+
+export const PARTITION_HEADER = "x-partition-key";
+
+/**
+ * Build a partition key extractor
+ * @param {string|Function} partitionKey - Dot path into the Message, e.g. "data.id",
+ *   or (message) => key
+ * @returns {Function|null} (message) => string|null, or null when no key is configured
+ */
+export const createPartitionKey = (partitionKey) => {
+  if (!partitionKey) {
+    return null;
+  }
+
+  const extract =
+    typeof partitionKey === "function"
+      ? partitionKey
+      : (message) =>
+          partitionKey
+            .split(".")
+            .reduce((value, field) => (value == null ? value : value[field]), message);
+
+  return (message) => {
+    if (!message) {
+      return null;
+    }
+
+    const key = extract(message);
+    return key == null ? null : String(key);
+  };
+};
+
+/**
+ * Name of the consistent-hash exchange spreading a queue's messages over its shards
+ * @param {string} queue - Base queue name
+ * @returns {string} Exchange name
+ */
+export const getShardExchangeName = (queue) => `${queue}.shards`;
+
+/**
+ * Name of one shard queue
+ * @param {string} queue - Base queue name
+ * @param {number} index - Shard index, from 0
+ * @returns {string} Queue name
+ */
+export const getShardQueueName = (queue, index) => `${queue}.shard.${index}`;
+
+/**
+ * Publisher middleware stamping the partition key header on Messages
+ *
+ * Messages without a key fall back to their id so the hash exchange still
+ * spreads them over the shards.
+ * @param {Function|null} keyOf - Extractor built by createPartitionKey()
+ * @returns {Function} Middleware
+ */
+export const stampPartitionKey = (keyOf) => async (ctx, next) => {
+  const { message } = ctx;
+
+  if (message && typeof message === "object" && typeof message.type === "string") {
+    const key = (keyOf && keyOf(message)) ?? (message.id == null ? null : String(message.id));
+
+    if (key !== null) {
+      ctx.options.headers = { ...ctx.options.headers, [PARTITION_HEADER]: key };
+    }
+  }
+
+  await next();
+};
@@ -0,0 +1,369 @@
+/**
+ * RabbitMQ Publish Spool Module
+ *
+ * This module provides a durable local spool for store-and-forward
+ * publishing. While the broker is unreachable the publisher appends messages
+ * to an append-only file, one JSON record per line, and sends them in order
+ * once the connection is back. Flushed records are cut from the head of the
+ * file (write and sync a temp file, then rename); a crash during a flush may send
+ * the flushed messages again, so consumers should deduplicate on the
+ * message id.
+ */
+import fs from "fs/promises";
+import path from "path";
+import logger from "../config/logger.js";
+import { SpoolFullError } from "../utils/errors.js";
+import { sharedByFile } from "../utils/files.js";
+
+export const SPOOL_FSYNC_POLICIES = ["always", "interval", "never"];
+
+class PublishSpool {
+  /**
+   * Create a new publish spool
+   * @param {Object} options - Spool options
+   * @param {string} options.file - Path of the spool file
+   * @param {number} options.maxSize - Max size of the spool file in bytes
+   * @param {string} options.fsync - When appends are flushed to disk: always,
+   *   interval (every fsyncInterval ms) or never (left to the OS)
+   * @param {number} [options.fsyncInterval] - Interval in ms for the interval policy
+   */
+  constructor({ file, maxSize, fsync, fsyncInterval = 1000 }) {
+    if (!SPOOL_FSYNC_POLICIES.includes(fsync)) {
+      throw new Error(`Unknown spool fsync policy: ${fsync}`);
+    }
+
+    this.file = file;
+    this.maxSize = maxSize;
+    this.fsync = fsync;
+    this.fsyncInterval = fsyncInterval;
+    this.handle = null;
+    this.syncTimer = null;
+    this.dirty = false;
+    this.loadPromise = null;
+    this.flushing = null;
+    this.count = 0;
+    this.bytes = 0;
+    // File operations run one at a time so a flush never cuts a half-written append
+    this.lock = Promise.resolve();
+    this.stats = {
+      spooled: 0,
+      flushed: 0,
+      rejected: 0,
+    };
+  }
+
+  /**
+   * Number of messages waiting in the spool
+   * @returns {number} Spool depth
+   */
+  get size() {
+    return this.count;
+  }
+
+  /**
+   * Run a file operation once the previous ones have finished
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} Result of fn
+   */
+  exclusive(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Count the records left by a previous run
+   *
+   * A record cut short by a crash is removed so the next append starts on a
+   * line of its own.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.exclusive(async () => {
+        let content;
+
+        try {
+          content = await fs.readFile(this.file);
+        } catch (error) {
+          if (error.code === "ENOENT") {
+            return;
+          }
+
+          this.loadPromise = null;
+          throw error;
+        }
+
+        const end = content.lastIndexOf("\n") + 1;
+
+        if (end < content.length) {
+          logger.warn(`Dropping an incomplete record at the end of publish spool ${this.file}`);
+          await fs.truncate(this.file, end);
+        }
+
+        this.count = this.parse(content.subarray(0, end)).length;
+        this.bytes = end;
+
+        if (this.count > 0) {
+          logger.info(`Loaded publish spool ${this.file} (${this.count} spooled message(s))`);
+        }
+      });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Split spool file content into records
+   * @param {Buffer} content - Complete lines of the spool file
+   * @returns {Array<{record: Object, bytes: number}>} Records with their size on disk
+   */
+  parse(content) {
+    const records = [];
+    let start = 0;
+
+    while (start < content.length) {
+      const end = content.indexOf("\n", start) + 1;
+      records.push({
+        record: JSON.parse(content.subarray(start, end - 1).toString("utf8")),
+        bytes: end - start,
+      });
+      start = end;
+    }
+
+    return records;
+  }
+
+  /**
+   * Append a message to the spool
+   * @param {Object} record - { message, routingKey, options }
+   * @returns {Promise<void>}
+   * @throws {SpoolFullError} When the record would exceed the size cap
+   */
+  async append(record) {
+    await this.load();
+
+    return this.exclusive(async () => {
+      const line = `${JSON.stringify(record)}\n`;
+      const bytes = Buffer.byteLength(line);
+
+      if (this.bytes + bytes > this.maxSize) {
+        this.stats.rejected++;
+        throw new SpoolFullError(`Publish spool is full (${this.maxSize} bytes)`);
+      }
+
+      if (!this.handle) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        this.handle = await fs.open(this.file, "a");
+      }
+
+      await this.handle.write(line);
+
+      if (this.fsync === "always") {
+        await this.handle.sync();
+      } else if (this.fsync === "interval") {
+        this.dirty = true;
+        this.startSyncTimer();
+      }
+
+      this.count++;
+      this.bytes += bytes;
+      this.stats.spooled++;
+    });
+  }
+
+  /**
+   * Flush appends to disk periodically under the interval policy
+   */
+  startSyncTimer() {
+    if (this.syncTimer) {
+      return;
+    }
+
+    this.syncTimer = setInterval(() => {
+      this.exclusive(() => this.sync()).catch((error) => {
+        logger.error(`Failed to sync publish spool ${this.file}: ${error.message}`);
+      });
+    }, this.fsyncInterval);
+    // Syncing alone never keeps the process alive
+    this.syncTimer.unref();
+  }
+
+  /**
+   * Flush pending appends to disk
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    if (this.handle && this.dirty) {
+      this.dirty = false;
+      await this.handle.sync();
+    }
+  }
+
+  /**
+   * Send spooled messages oldest first and remove them from the spool
+   *
+   * Messages appended during the flush are sent in the same flush. The flush
+   * stops at the first failed send and keeps that message and all later
+   * ones; concurrent calls share the running flush.
+   * @param {Function} send - async (record) => void
+   * @returns {Promise<number>} Number of messages sent
+   */
+  flush(send) {
+    if (!this.flushing) {
+      this.flushing = this.drain(send).finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  /**
+   * Send records until the spool is empty
+   * @param {Function} send - async (record) => void
+   * @returns {Promise<number>} Number of messages sent
+   */
+  async drain(send) {
+    await this.load();
+    let total = 0;
+
+    while (this.count > 0) {
+      const content = await this.exclusive(() => fs.readFile(this.file));
+      const records = this.parse(content);
+      let sent = 0;
+      let sentBytes = 0;
+
+      // E.g. the file was emptied behind our back; the count can never drop otherwise
+      if (records.length === 0) {
+        logger.warn(
+          `Publish spool ${this.file} is empty but ${this.count} message(s) were counted`
+        );
+        this.count = 0;
+        this.bytes = 0;
+        break;
+      }
+
+      try {
+        for (const { record, bytes } of records) {
+          await send(record);
+          sent++;
+          sentBytes += bytes;
+        }
+      } finally {
+        if (sent > 0) {
+          await this.remove(sent, sentBytes);
+          total += sent;
+        }
+      }
+    }
+
+    if (total > 0) {
+      logger.info(`Flushed ${total} message(s) from publish spool ${this.file}`);
+    }
+
+    return total;
+  }
+
+  /**
+   * Cut sent records from the head of the spool file
+   * @param {number} count - Number of records sent
+   * @param {number} bytes - Their size on disk
+   * @returns {Promise<void>}
+   */
+  remove(count, bytes) {
+    return this.exclusive(async () => {
+      // Appends made since the records were read are kept
+      const remaining = (await fs.readFile(this.file)).subarray(bytes);
+      const tmpFile = `${this.file}.tmp`;
+
+      await this.closeHandle();
+
+      const handle = await fs.open(tmpFile, "w");
+      try {
+        await handle.writeFile(remaining);
+
+        if (this.fsync !== "never") {
+          await handle.sync();
+        }
+      } finally {
+        await handle.close();
+      }
+
+      await fs.rename(tmpFile, this.file);
+
+      this.count -= count;
+      this.bytes -= bytes;
+      this.stats.flushed += count;
+    });
+  }
+
+  /**
+   * Sync and close the file handle; the next append reopens it
+   * @returns {Promise<void>}
+   */
+  async closeHandle() {
+    if (!this.handle) {
+      return;
+    }
+
+    const { handle } = this;
+    this.handle = null;
+
+    if (this.dirty) {
+      this.dirty = false;
+      await handle.sync();
+    }
+
+    await handle.close();
+  }
+
+  /**
+   * Get spool depth and counters
+   * @returns {Object} Spool statistics
+   */
+  getStats() {
+    return {
+      file: this.file,
+      depth: this.count,
+      bytes: this.bytes,
+      maxSize: this.maxSize,
+      fsync: this.fsync,
+      flushing: this.flushing !== null,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Flush pending appends to disk and release the file
+   *
+   * Spooled messages stay on disk for the next run.
+   * @returns {Promise<void>}
+   */
+  close() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+
+    return this.exclusive(() => this.closeHandle());
+  }
+}
+
+const spools = new Map();
+
+/**
+ * Get the spool for a file, creating it on first use
+ *
+ * Publishers sharing a file share one spool, so their appends stay in order.
+ * @param {Object} options - Spool options (see PublishSpool)
+ * @returns {PublishSpool} Spool
+ */
+export const createPublishSpool = ({ file, ...options }) =>
+  sharedByFile(spools, file, (resolved) => new PublishSpool({ file: resolved, ...options }));
+
+/**
+ * Get statistics of every spool in use, e.g. for health checks
+ * @returns {Object[]} Spool statistics
+ */
+export const getSpoolStats = () => [...spools.values()].map((spool) => spool.getStats());
+
+export default PublishSpool;
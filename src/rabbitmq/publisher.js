@@ -4,17 +4,160 @@
  * This module provides functionality to publish messages to RabbitMQ exchanges.
  */
 import { rabbitmqConfig } from "../config/index.js";
-import rabbitMQConnection from "./connection.js";
+import connectionManager from "./connection_manager.js";
+import { CONNECTION_STATES } from "./connection.js";
+import OutboundBuffer from "./outbound_buffer.js";
+import { createPublishSpool } from "./publish_spool.js";
+import {
+  DELAY_HEADER,
+  DELAY_MODES,
+  MAX_DELAY,
+  DelayQueues,
+  InProcessScheduler,
+  withDelay,
+} from "./delay.js";
+import { compose } from "./middleware.js";
+import { validatePublish } from "./validation.js";
+import { createPartitionKey, stampPartitionKey } from "./partitioning.js";
+import { settleWithin } from "../utils/async.js";
+import { Message, schemaRegistry } from "../models/index.js";
 import logger from "../config/logger.js";
+import {
+  ConnectionBlockedError,
+  MessageQueueError,
+  UnroutableMessageError,
+  ValidationError,
+} from "../utils/errors.js";
 
 class Publisher {
-  constructor() {
+  /**
+   * Create a new publisher
+   * @param {Object} [options] - Publisher options
+   * @param {boolean} [options.confirm] - Wait for broker acks (publisher confirms)
+   * @param {number} [options.confirmTimeout] - Max time in ms to wait for a confirm
+   * @param {number} [options.closeTimeout] - Max time in ms close() waits for outstanding publishes
+   * @param {Object} [options.backpressure] - Overrides for the backpressure settings
+   * @param {string} [options.connection] - Name of the connection to publish on
+   * @param {string} [options.blockedPolicy] - "queue" or "fail" while the broker blocks us
+   * @param {number} [options.blockedTimeout] - Max wait in ms for unblock in "queue" mode
+   * @param {boolean} [options.validation] - Validate Message data against its type's schema
+   * @param {SchemaRegistry} [options.schemaRegistry] - Registry to validate against
+   * @param {boolean} [options.routeByType] - Route messages by their type when no
+   *   routing key is given
+   * @param {string|Function} [options.partitionKey] - Partition key stamped in the
+   *   x-partition-key header (see partitioning.js)
+   * @param {Object} [options.spool] - Overrides for the publish spool settings
+   * @param {boolean} [options.mandatory] - Reject publishes no queue is bound for with an
+   *   UnroutableMessageError; implies confirms
+   * @param {Object} [options.delay] - Overrides for the delayed delivery settings
+   */
+  constructor(options = {}) {
     this.config = rabbitmqConfig;
+    this.connection = connectionManager.get(options.connection);
+    this.channelPromise = null;
+    // The channel once open; null while it is being opened or after it closed
+    this.channel = null;
+    // Channel the exchange was last declared on; declaring once per channel is enough
+    this.declaredChannel = null;
     this.exchange = this.config.exchange.name;
     this.exchangeType = this.config.exchange.type;
     this.exchangeOptions = this.config.exchange.options;
     this.defaultRoutingKey = this.config.routingKey;
-    this.defaultMessageOptions = this.config.messageOptions;
+    this.routeByType = options.routeByType ?? this.config.publisher.routeByType;
+    this.mandatory = options.mandatory ?? this.config.publisher.mandatory;
+    this.defaultMessageOptions = this.mandatory
+      ? { ...this.config.messageOptions, mandatory: true }
+      : this.config.messageOptions;
+    // The broker returns an unroutable message before it acks it, so only a
+    // confirm tells the caller the message was routed
+    this.confirm = (options.confirm ?? this.config.publisher.confirm) || this.mandatory;
+    // Mandatory publishes awaiting their confirm, oldest first, matched against returned messages
+    this.mandatoryPublishes = new Set();
+    this.unroutable = this.config.unroutable;
+    this.confirmTimeout = options.confirmTimeout ?? this.config.publisher.confirmTimeout;
+    this.pendingConfirms = new Set();
+    this.pendingPublishes = new Set();
+    this.closeTimeout = options.closeTimeout ?? this.config.publisher.closeTimeout;
+    this.middleware = [];
+
+    // Refuse to publish messages that consumers would quarantine
+    if (options.validation ?? this.config.validation.enabled) {
+      this.use(validatePublish(options.schemaRegistry || schemaRegistry));
+    }
+
+    // Shard queues are picked by hashing the partition key header
+    const partitionKey = options.partitionKey ?? this.config.partitioning.key;
+    if (partitionKey || this.config.partitioning.shards > 0) {
+      this.use(stampPartitionKey(createPartitionKey(partitionKey)));
+    }
+    this.blockedPolicy = options.blockedPolicy ?? this.config.publisher.blockedPolicy;
+    this.blockedTimeout = options.blockedTimeout ?? this.config.publisher.blockedTimeout;
+    this.backpressure = { ...this.config.publisher.backpressure, ...options.backpressure };
+    this.outboundBuffer = this.backpressure.enabled
+      ? new OutboundBuffer({
+          maxSize: this.backpressure.maxBufferSize,
+          policy: this.backpressure.policy,
+        })
+      : null;
+
+    // Store-and-forward: spool publishes while the broker is unreachable
+    this.spoolConfig = { ...this.config.publisher.spool, ...options.spool };
+    this.spool = this.spoolConfig.enabled ? createPublishSpool(this.spoolConfig) : null;
+    this.spoolRetryTimer = null;
+    this.onConnectionState = (state) => {
+      if (state === CONNECTION_STATES.CONNECTED) {
+        this.flushSpool();
+      }
+    };
+
+    if (this.spool) {
+      this.connection.on("stateChange", this.onConnectionState);
+    }
+
+    // Delayed delivery: TTL queues on the broker, or timers in this process
+    this.delay = { ...this.config.delay, ...options.delay };
+    if (!DELAY_MODES.includes(this.delay.mode)) {
+      throw new Error(`Unknown delay mode: ${this.delay.mode}`);
+    }
+    this.delayQueues = new DelayQueues({
+      exchange: this.delay.exchange,
+      target: this.exchange,
+      granularity: this.delay.granularity,
+    });
+    this.scheduler = this.delay.mode === "memory" ? new InProcessScheduler() : null;
+  }
+
+  /**
+   * Get the publisher's own channel (a confirm channel in confirm mode),
+   * opening it on first use and again after it closes
+   * @returns {Promise<amqp.Channel|amqp.ConfirmChannel>} RabbitMQ channel
+   */
+  async getChannel() {
+    if (!this.channelPromise) {
+      this.channelPromise = this.connection
+        .openChannel({
+          confirm: this.confirm,
+          purpose: "publish",
+          onClose: () => {
+            this.channelPromise = null;
+            this.channel = null;
+          },
+        })
+        .then((channel) => {
+          if (this.mandatory) {
+            channel.on("return", (msg) => this.handleReturn(msg));
+          }
+
+          this.channel = channel;
+          return channel;
+        })
+        .catch((error) => {
+          this.channelPromise = null;
+          throw error;
+        });
+    }
+
+    return this.channelPromise;
   }
 
   /**
@@ -23,66 +166,760 @@ class Publisher {
    */
   async initialize() {
     try {
-      const channel = await rabbitMQConnection.createChannel();
+      const channel = await this.getChannel();
 
       // Assert the exchange
-      await channel.assertExchange(this.exchange, this.exchangeType, this.exchangeOptions);
+      await this.assertExchange(channel);
+      this.connection.recordExchange(this.exchange, this.exchangeType, this.exchangeOptions);
 
       logger.info(
         `Publisher initialized: Exchange '${this.exchange}' (${this.exchangeType}) created/verified`
       );
+
+      // Send what a previous run spooled
+      if (this.spool) {
+        this.flushSpool();
+      }
     } catch (error) {
       logger.error(`Failed to initialize publisher: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Declare the exchange unless it was already declared on this channel
+   *
+   * A new channel (e.g. after a reconnect) declares it again, along with the
+   * alternate exchange if one is configured.
+   * @param {amqp.Channel} channel - Channel to declare on
+   * @returns {Promise<void>}
+   */
+  async assertExchange(channel) {
+    if (this.declaredChannel === channel) {
+      return;
+    }
+
+    await channel.assertExchange(this.exchange, this.exchangeType, this.exchangeOptions);
+
+    if (this.unroutable.exchange) {
+      await this.setupAlternateExchange(channel);
+    }
+
+    this.declaredChannel = channel;
+  }
+
+  /**
+   * Declare the alternate exchange and the queue collecting unroutable messages
+   * @param {amqp.Channel} channel - Channel to declare on
+   * @returns {Promise<void>}
+   */
+  async setupAlternateExchange(channel) {
+    const { exchange, exchangeType, queue } = this.unroutable;
+    const options = { durable: true };
+
+    await channel.assertExchange(exchange, exchangeType, options);
+    await channel.assertQueue(queue, options);
+    await channel.bindQueue(queue, exchange, "");
+
+    this.connection.recordExchange(exchange, exchangeType, options);
+    this.connection.recordQueue(queue, options);
+    this.connection.recordBinding(queue, exchange, "");
+  }
+
+  /**
+   * Get the routing key for a message published without one
+   *
+   * Messages are routed by their type (e.g. `user.registered`) so queues can
+   * bind to the types they care about; payloads without a type use the
+   * default routing key.
+   * @param {Object|string} message - Message to publish
+   * @returns {string} Routing key
+   */
+  getRoutingKey(message) {
+    if (
+      this.routeByType &&
+      message &&
+      typeof message === "object" &&
+      typeof message.type === "string"
+    ) {
+      return message.type;
+    }
+
+    return this.defaultRoutingKey;
+  }
+
   /**
    * Publish a message to the exchange
+   *
+   * In confirm mode the returned promise resolves only once the broker has
+   * acked the message, and rejects with a MessageQueueError on nack or timeout.
+   * While the broker blocks the connection, publishes wait for unblock or fail
+   * fast with a ConnectionBlockedError, depending on the blocked policy.
+   * With the spool enabled, a publish made while the broker is unreachable
+   * resolves once the message is written to the spool.
    * @param {Object|string} message - Message to publish (will be serialized to JSON if object)
-   * @param {string} [routingKey] - Routing key for the message
+   * @param {string} [routingKey] - Routing key for the message; see getRoutingKey()
    * @param {Object} [options] - Message options
    * @returns {Promise<boolean>} True if message was successfully sent
    */
-  async publish(message, routingKey = this.defaultRoutingKey, options = {}) {
+  async publish(message, routingKey = this.getRoutingKey(message), options = {}) {
+    return this.publishTo(this.exchange, message, routingKey, options);
+  }
+
+  /**
+   * Publish a message through the middleware to a given exchange
+   * @param {string} exchange - Exchange to publish to
+   * @param {Object|string} message - Message to publish
+   * @param {string} routingKey - Routing key for the message
+   * @param {Object} options - Message options
+   * @returns {Promise<boolean>} True if message was successfully sent
+   */
+  async publishTo(exchange, message, routingKey, options) {
     try {
-      const channel = await rabbitMQConnection.createChannel();
+      const ctx = this.createContext(message, routingKey, options, exchange);
 
-      // Ensure exchange exists
-      await channel.assertExchange(this.exchange, this.exchangeType, this.exchangeOptions);
+      // Let middleware stamp headers or adjust the message before it is sent
+      await this.track(
+        compose(this.middleware)(ctx, async () => {
+          ctx.result = await this.deliver(ctx.message, ctx.routingKey, ctx.options, ctx.exchange);
+        })
+      );
 
-      // Convert message to buffer if it's an object
-      const content = Buffer.from(typeof message === "object" ? JSON.stringify(message) : message);
+      return ctx.result;
+    } catch (error) {
+      logger.error(`Failed to publish message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish a message that is delivered after a delay
+   *
+   * The message goes through the middleware (e.g. validation) now and sits in
+   * the delay queue until due, then reaches the exchange with its routing key.
+   * The delay, rounded up to the delay granularity, and the due time are
+   * recorded in the Message metadata once the publish succeeds. With the
+   * spool enabled, a delayed message spooled while the broker is unreachable
+   * enters its delay queue when sent, so it is due later than recorded.
+   * @param {Object|string} message - Message to publish
+   * @param {number} delay - Delay in ms
+   * @param {string} [routingKey] - Routing key for the message; see getRoutingKey()
+   * @param {Object} [options] - Message options
+   * @returns {Promise<boolean>} True once the message is stored for later delivery
+   * @throws {ValidationError} When the delay is negative or above MAX_DELAY
+   */
+  async publishDelayed(message, delay, routingKey = this.getRoutingKey(message), options = {}) {
+    if (!Number.isFinite(delay) || delay < 0 || delay > MAX_DELAY) {
+      throw new ValidationError(`Delay must be from 0 to ${MAX_DELAY}ms, got: ${delay}`);
+    }
+
+    const queueDelay = this.scheduler ? delay : this.delayQueues.roundDelay(delay);
+    const delayed = withDelay(message, queueDelay, new Date(Date.now() + queueDelay));
+    let result;
+
+    if (queueDelay === 0) {
+      result = await this.publish(delayed, routingKey, options);
+    } else if (this.scheduler) {
+      this.scheduler.schedule(queueDelay, () => this.publish(delayed, routingKey, options));
+      logger.info(`Message scheduled in process for delivery in ${queueDelay}ms`);
+      result = true;
+    } else {
+      // send() declares the delay queue, also for a message sent from the spool
+      result = await this.publishTo(this.delayQueues.exchange, delayed, routingKey, {
+        ...options,
+        headers: { ...options.headers, [DELAY_HEADER]: String(queueDelay) },
+      });
+      logger.info(
+        `Message delayed by ${queueDelay}ms in '${this.delayQueues.getQueueName(queueDelay)}'`
+      );
+    }
 
-      // Merge default options with provided options
-      const messageOptions = {
+    if (delayed !== message) {
+      message.metadata = delayed.metadata;
+    }
+
+    return result;
+  }
+
+  /**
+   * Publish a message that is delivered at a given time
+   *
+   * A time in the past publishes right away.
+   * @param {Object|string} message - Message to publish
+   * @param {Date|string|number} date - When to deliver the message
+   * @param {string} [routingKey] - Routing key for the message; see getRoutingKey()
+   * @param {Object} [options] - Message options
+   * @returns {Promise<boolean>} True once the message is stored for later delivery
+   * @throws {ValidationError} When the date is invalid or too far ahead
+   */
+  async publishAt(message, date, routingKey = this.getRoutingKey(message), options = {}) {
+    const time = new Date(date).getTime();
+
+    if (Number.isNaN(time)) {
+      throw new ValidationError(`Invalid delivery date: ${date}`);
+    }
+
+    return this.publishDelayed(message, Math.max(0, time - Date.now()), routingKey, options);
+  }
+
+  /**
+   * Publish several Messages with a single write and confirm round-trip
+   *
+   * Every Message is validated and runs through the middleware first; the
+   * ones that pass are written to the channel together and, in confirm
+   * mode, confirmed together. A failing Message does not stop the others.
+   * With the spool enabled they are delivered one by one instead, so they
+   * can be spooled in order.
+   * @param {Message[]} messages - Messages to publish
+   * @param {Object} [options] - Message options for every Message
+   * @param {string} [options.routingKey] - Routing key for every Message; see getRoutingKey()
+   * @returns {Promise<{published: number, failed: number, results: Object[]}>} One result
+   *   per Message, in order: { message, routingKey, success, error }
+   */
+  async publishBatch(messages, { routingKey, ...options } = {}) {
+    const batch = [];
+
+    const entries = messages.map((message) => {
+      const ctx = this.createContext(message, routingKey ?? this.getRoutingKey(message), options);
+      let queued;
+      const ready = new Promise((resolve) => {
+        queued = resolve;
+      });
+
+      const publishing = this.validateBatchEntry(message)
+        .then(() =>
+          // The last step queues the Message and waits for the whole batch to be sent
+          compose(this.middleware)(ctx, async () => {
+            const outcome = new Promise((resolve) => batch.push({ ctx, resolve }));
+            queued();
+
+            const { status, value, reason } = await outcome;
+            if (status === "rejected") {
+              throw reason;
+            }
+
+            ctx.result = value;
+          })
+        )
+        .finally(queued);
+
+      // Settles with the publish error, or null; caught now so an early failure is not unhandled
+      const failure = this.track(publishing).then(
+        () => null,
+        (error) => error
+      );
+
+      return { ctx, ready, failure };
+    });
+
+    // Once every Message is queued or has failed, send the queued ones together
+    await Promise.all(entries.map((entry) => entry.ready));
+    const outcomes = await this.sendBatch(batch.map(({ ctx }) => ctx));
+    batch.forEach(({ resolve }, index) => resolve(outcomes[index]));
+
+    const failures = await Promise.all(entries.map((entry) => entry.failure));
+    const results = entries.map(({ ctx }, index) => ({
+      message: ctx.message,
+      routingKey: ctx.routingKey,
+      // A middleware that does not call next() leaves the result unset: nothing was sent
+      success: failures[index] === null && ctx.result === true,
+      error: failures[index],
+    }));
+    const published = results.filter((result) => result.success).length;
+
+    logger.info(`Published batch of ${messages.length} message(s): ${published} succeeded`);
+    results
+      .filter((result) => result.error)
+      .forEach(({ message, error }) => {
+        logger.error(`Failed to publish message ${message?.id} in batch: ${error.message}`);
+      });
+
+    return { published, failed: results.length - published, results };
+  }
+
+  /**
+   * Check a batch entry is a valid Message
+   * @param {*} message - Batch entry
+   * @returns {Promise<void>}
+   * @throws {ValidationError} When the entry is not a valid Message
+   */
+  async validateBatchEntry(message) {
+    if (!(message instanceof Message)) {
+      throw new ValidationError("Batch entries must be Message instances");
+    }
+
+    try {
+      message.validate();
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+  }
+
+  /**
+   * Send the Messages of a batch that passed validation and middleware
+   * @param {Object[]} contexts - Publish contexts
+   * @returns {Promise<Object[]>} Promise.allSettled() outcome per context
+   */
+  async sendBatch(contexts) {
+    if (contexts.length === 0) {
+      return [];
+    }
+
+    if (this.spool) {
+      const outcomes = [];
+
+      for (const ctx of contexts) {
+        const [outcome] = await Promise.allSettled([
+          this.deliver(ctx.message, ctx.routingKey, ctx.options, ctx.exchange),
+        ]);
+        outcomes.push(outcome);
+      }
+
+      return outcomes;
+    }
+
+    try {
+      const channel = await this.prepareChannel();
+
+      // Each write starts synchronously, so the whole batch goes out before any confirm returns
+      return await Promise.allSettled(
+        contexts.map((ctx) =>
+          this.sendOn(channel, ctx.message, ctx.routingKey, ctx.options, ctx.exchange)
+        )
+      );
+    } catch (error) {
+      return contexts.map(() => ({ status: "rejected", reason: error }));
+    }
+  }
+
+  /**
+   * Build the context a publish runs through the middleware with
+   *
+   * Default options are merged with the given ones; headers are copied so
+   * middleware can stamp them without touching the caller's object.
+   * @param {Object|string} message - Message to publish
+   * @param {string} routingKey - Routing key for the message
+   * @param {Object} options - Message options
+   * @param {string} [exchange] - Exchange to publish to
+   * @returns {Object} Publish context
+   */
+  createContext(message, routingKey, options, exchange = this.exchange) {
+    return {
+      publisher: this,
+      exchange,
+      message,
+      routingKey,
+      options: {
         ...this.defaultMessageOptions,
         ...options,
-      };
+        ...(options.headers && { headers: { ...options.headers } }),
+      },
+      state: {},
+      result: undefined,
+    };
+  }
+
+  /**
+   * Track a publish so close() can wait for it while it is blocked, buffered or unconfirmed
+   * @param {Promise} publishing - Running publish
+   * @returns {Promise} The same publish
+   */
+  async track(publishing) {
+    this.pendingPublishes.add(publishing);
+
+    try {
+      return await publishing;
+    } finally {
+      this.pendingPublishes.delete(publishing);
+    }
+  }
+
+  /**
+   * Add middleware to the publish pipeline
+   *
+   * Middleware runs in registration order before the message is serialized and
+   * receives a context with `message`, `routingKey`, `options` (set
+   * `options.headers` to stamp headers), a `state` bag and, after
+   * `await next()`, the publish `result`.
+   * @param {Function} middleware - async (ctx, next) => void
+   * @returns {Publisher} This publisher, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== "function") {
+      throw new Error("Middleware must be a function");
+    }
 
-      // Publish message to exchange with routing key
-      const result = channel.publish(this.exchange, routingKey, content, messageOptions);
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Send a message, or spool it while the broker is unreachable
+   * @param {Object|string} message - Message to publish
+   * @param {string} routingKey - Routing key for the message
+   * @param {Object} messageOptions - Message options
+   * @param {string} [exchange] - Exchange to publish to
+   * @returns {Promise<boolean>} True if message was successfully sent or spooled
+   */
+  async deliver(message, routingKey, messageOptions, exchange = this.exchange) {
+    if (!this.spool) {
+      return this.send(message, routingKey, messageOptions, exchange);
+    }
 
-      if (result) {
-        logger.info(
-          `Message published to exchange '${this.exchange}' with routing key '${routingKey}'`
-        );
-      } else {
-        logger.warn(`Channel write buffer is full - publish returned false`);
+    await this.spool.load();
+
+    // Spooled messages go out first, so a new message must queue up behind them;
+    // while reconnecting, a send would wait for the reconnect to finish
+    if (
+      this.spool.size > 0 ||
+      this.spool.flushing ||
+      this.connection.state === CONNECTION_STATES.RECONNECTING
+    ) {
+      return this.spoolMessage(message, routingKey, messageOptions, exchange);
+    }
+
+    try {
+      return await this.send(message, routingKey, messageOptions, exchange);
+    } catch (error) {
+      if (this.connection.isConnected()) {
+        throw error;
       }
 
-      return result;
+      logger.warn(`Publish failed while disconnected from the broker: ${error.message}`);
+      return this.spoolMessage(message, routingKey, messageOptions, exchange);
+    }
+  }
+
+  /**
+   * Append a message to the spool
+   * @param {Object|string} message - Message to publish
+   * @param {string} routingKey - Routing key for the message
+   * @param {Object} messageOptions - Message options
+   * @param {string} exchange - Exchange to publish to
+   * @returns {Promise<boolean>} True once the message is spooled
+   */
+  async spoolMessage(message, routingKey, messageOptions, exchange) {
+    await this.spool.append({ exchange, message, routingKey, options: messageOptions });
+
+    logger.warn(
+      `Message spooled to '${this.spool.file}' with routing key '${routingKey}' ` +
+        `(${this.spool.size} spooled)`
+    );
+
+    // E.g. a record spooled just as the connection came back
+    if (this.connection.isConnected()) {
+      this.flushSpool();
+    }
+
+    return true;
+  }
+
+  /**
+   * Send spooled messages in order
+   *
+   * A flush failing while still connected is retried after the spool retry
+   * delay; a flush cut short by a disconnect resumes on the next connect.
+   * @returns {Promise<number>} Number of messages sent
+   */
+  async flushSpool() {
+    if (!this.spool) {
+      return 0;
+    }
+
+    try {
+      return await this.spool.flush((record) =>
+        this.send(record.message, record.routingKey, record.options, record.exchange)
+      );
     } catch (error) {
-      logger.error(`Failed to publish message: ${error.message}`);
-      throw error;
+      logger.error(
+        `Failed to flush publish spool (${this.spool.size} message(s) left): ${error.message}`
+      );
+
+      if (this.connection.isConnected() && !this.spoolRetryTimer) {
+        this.spoolRetryTimer = setTimeout(() => {
+          this.spoolRetryTimer = null;
+          this.flushSpool();
+        }, this.spoolConfig.retryDelay);
+        this.spoolRetryTimer.unref();
+      }
+
+      return 0;
     }
   }
 
   /**
-   * Close the publisher
+   * Serialize and write a message to the exchange
+   * @param {Object|string} message - Message to publish
+   * @param {string} routingKey - Routing key for the message
+   * @param {Object} messageOptions - Message options
+   * @param {string} [exchange] - Exchange to publish to
+   * @returns {Promise<boolean>} True if message was successfully sent
    */
-  async close() {
-    await rabbitMQConnection.close();
+  async send(message, routingKey, messageOptions, exchange = this.exchange) {
+    const channel = await this.prepareChannel();
+
+    // A delayed message needs its delay queue, which expires once idle
+    if (exchange === this.delayQueues.exchange) {
+      await this.delayQueues.assert(channel, Number(messageOptions.headers[DELAY_HEADER]));
+    }
+
+    return this.sendOn(channel, message, routingKey, messageOptions, exchange);
+  }
+
+  /**
+   * Get a channel ready to publish on, once the broker allows publishing
+   * @returns {Promise<amqp.Channel|amqp.ConfirmChannel>} Channel with the exchange declared
+   */
+  async prepareChannel() {
+    await this.waitWhileBlocked();
+
+    const channel = await this.getChannel();
+
+    // Ensure exchange exists
+    await this.assertExchange(channel);
+
+    return channel;
+  }
+
+  /**
+   * Serialize and write a message on a prepared channel
+   * @param {amqp.Channel|amqp.ConfirmChannel} channel - Channel from prepareChannel()
+   * @param {Object|string} message - Message to publish
+   * @param {string} routingKey - Routing key for the message
+   * @param {Object} messageOptions - Message options
+   * @param {string} [exchange] - Exchange to publish to
+   * @returns {Promise<boolean>} True if message was successfully sent
+   */
+  async sendOn(channel, message, routingKey, messageOptions, exchange = this.exchange) {
+    // Convert message to buffer if it's an object
+    const content = Buffer.from(typeof message === "object" ? JSON.stringify(message) : message);
+
+    if (this.confirm) {
+      await this.publishWithConfirm(channel, routingKey, content, messageOptions, exchange);
+      logger.info(
+        `Message confirmed by broker on exchange '${exchange}' with routing key '${routingKey}'`
+      );
+      return true;
+    }
+
+    // Publish message to exchange with routing key
+    const result = await this.write(channel, () =>
+      channel.publish(exchange, routingKey, content, messageOptions)
+    );
+
+    if (result) {
+      logger.info(`Message published to exchange '${exchange}' with routing key '${routingKey}'`);
+    } else if (!this.outboundBuffer) {
+      logger.warn(`Channel write buffer is full - publish returned false`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply the blocked policy while the broker has blocked the connection
+   * @returns {Promise<void>}
+   */
+  async waitWhileBlocked() {
+    if (!this.connection.blocked) {
+      return;
+    }
+
+    const { blockedReason } = this.connection;
+
+    if (this.blockedPolicy === "fail") {
+      throw new ConnectionBlockedError(`Connection blocked by broker: ${blockedReason}`);
+    }
+
+    logger.warn(`Connection blocked by broker (${blockedReason}) - publish paused until unblocked`);
+    await this.connection.waitForUnblocked(this.blockedTimeout);
+  }
+
+  /**
+   * Publish on a confirm channel and wait for the broker ack
+   * @param {amqp.ConfirmChannel} channel - Confirm channel
+   * @param {string} routingKey - Routing key for the message
+   * @param {Buffer} content - Serialized message
+   * @param {Object} messageOptions - Message options
+   * @param {string} [exchange] - Exchange to publish to
+   * @returns {Promise<void>}
+   */
+  publishWithConfirm(channel, routingKey, content, messageOptions, exchange = this.exchange) {
+    let timer;
+    const mandatory = messageOptions.mandatory
+      ? { exchange, routingKey, content, returned: null }
+      : null;
+
+    if (mandatory) {
+      this.mandatoryPublishes.add(mandatory);
+    }
+
+    const confirmation = new Promise((resolve, reject) => {
+      this.write(channel, () => {
+        // Only start the confirm timeout once the message has left the buffer
+        timer = setTimeout(() => {
+          reject(new MessageQueueError(`Publish confirm timed out after ${this.confirmTimeout}ms`));
+        }, this.confirmTimeout);
+
+        return channel.publish(exchange, routingKey, content, messageOptions, (err) => {
+          const returned = mandatory && mandatory.returned;
+
+          if (err) {
+            reject(new MessageQueueError("Message was nacked by the broker", err));
+          } else if (returned) {
+            reject(new UnroutableMessageError(exchange, routingKey, returned.fields.replyText));
+          } else {
+            resolve();
+          }
+        });
+      }).catch(reject);
+    }).finally(() => {
+      clearTimeout(timer);
+      this.pendingConfirms.delete(confirmation);
+      this.mandatoryPublishes.delete(mandatory);
+    });
+
+    this.pendingConfirms.add(confirmation);
+
+    return confirmation;
+  }
+
+  /**
+   * Record a mandatory message the broker returned as unroutable
+   *
+   * The broker sends the return before the ack, so the confirm callback of
+   * the publish finds it and rejects the caller's promise. The return is
+   * matched to the oldest unconfirmed publish with the same exchange, routing
+   * key and content, so no correlation header is added to the message.
+   * @param {Object} msg - Returned message
+   */
+  handleReturn(msg) {
+    const { exchange, routingKey, replyText } = msg.fields;
+
+    logger.warn(
+      `Message returned by the broker: no queue bound on exchange '${exchange}' for routing key '${routingKey}' (${replyText})`
+    );
+
+    for (const publish of this.mandatoryPublishes) {
+      if (
+        !publish.returned &&
+        publish.exchange === exchange &&
+        publish.routingKey === routingKey &&
+        publish.content.equals(msg.content)
+      ) {
+        publish.returned = msg;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Write to the channel, going through the outbound buffer when backpressure is enabled
+   * @param {amqp.Channel} channel - Channel being written to
+   * @param {Function} writeFn - Performs the channel.publish call and returns its result
+   * @returns {Promise<boolean>} Result of the channel write
+   */
+  async write(channel, writeFn) {
+    if (!this.outboundBuffer) {
+      return writeFn();
+    }
+
+    return this.outboundBuffer.write(channel, writeFn);
+  }
+
+  /**
+   * Get outbound buffer depth and drain wait times
+   * @returns {Object|null} Buffer statistics, or null when backpressure is disabled
+   */
+  getBufferStats() {
+    return this.outboundBuffer ? this.outboundBuffer.getStats() : null;
+  }
+
+  /**
+   * Get publish spool depth and counters
+   * @returns {Object|null} Spool statistics, or null when the spool is disabled
+   */
+  getSpoolStats() {
+    return this.spool ? this.spool.getStats() : null;
+  }
+
+  /**
+   * Wait until all outstanding publisher confirms have settled
+   * @returns {Promise<void>}
+   */
+  async waitForConfirms() {
+    if (this.pendingConfirms.size === 0) {
+      return;
+    }
+
+    logger.info(`Waiting for ${this.pendingConfirms.size} outstanding publisher confirm(s)...`);
+    await Promise.allSettled([...this.pendingConfirms]);
+  }
+
+  /**
+   * Wait for publishes still blocked, buffered or awaiting a confirm
+   * @param {number} [timeout] - Max wait in ms
+   * @returns {Promise<boolean>} True if all of them settled in time
+   */
+  async waitForPublishes(timeout = this.closeTimeout) {
+    const outstanding = this.pendingPublishes.size;
+
+    if (outstanding === 0) {
+      return true;
+    }
+
+    logger.info(`Waiting up to ${timeout}ms for ${outstanding} outstanding publish(es)...`);
+
+    if (await settleWithin(Promise.allSettled([...this.pendingPublishes]), timeout)) {
+      return true;
+    }
+
+    logger.warn(
+      `${this.pendingPublishes.size} publish(es) still outstanding after ${timeout}ms, closing anyway`
+    );
+    return false;
+  }
+
+  /**
+   * Close the publisher's channel once outstanding publishes have settled
+   *
+   * The underlying connection is shared and stays open; close it through
+   * the connection manager. close() never waits for a reconnect: a channel
+   * still being opened is closed once it opens.
+   * @param {Object} [options] - Close options
+   * @param {number} [options.timeout] - Max wait in ms for outstanding publishes
+   */
+  async close({ timeout = this.closeTimeout } = {}) {
+    await this.waitForPublishes(timeout);
+
+    if (this.scheduler) {
+      this.scheduler.close();
+    }
+
+    if (this.spool) {
+      // Spooled messages stay on disk for the next run
+      this.connection.off("stateChange", this.onConnectionState);
+      clearTimeout(this.spoolRetryTimer);
+      this.spoolRetryTimer = null;
+      await this.spool.close();
+    }
+
+    const { channel, channelPromise } = this;
+    this.channel = null;
+    this.channelPromise = null;
+
+    if (!channel) {
+      // Still opening, e.g. during a reconnect: close it once open rather than wait
+      channelPromise?.then((opened) => opened.close()).catch(() => {});
+      return;
+    }
+
+    try {
+      await channel.close();
+      logger.info("Publisher channel closed");
+    } catch (error) {
+      logger.error(`Error while closing publisher channel: ${error.message}`);
+    }
   }
 }
 
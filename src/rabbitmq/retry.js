@@ -0,0 +1,170 @@
+/**
+ * RabbitMQ Retry Module
+ *
+ * This module implements delayed retries for messages whose handler failed.
+ * A failed message is republished to a TTL "delay" queue; when the TTL expires
+ * RabbitMQ dead-letters it back to the work queue for another attempt. The
+ * attempt count travels in the `x-retry-count` header, and once the policy's
+ * max attempts are used up the message is moved to a parking queue.
+ *
+ *   work queue ──(handler fails)──▶ <queue>.retry.<delay> ──(TTL)──▶ work queue
+ *        │
+ *        └──(max attempts reached)──▶ <queue>.parking
+ */
+import logger from "../config/logger.js";
+
+export const RETRY_HEADERS = Object.freeze({
+  COUNT: "x-retry-count",
+  LAST_ERROR: "x-last-error",
+  ORIGINAL_EXCHANGE: "x-original-exchange",
+  ORIGINAL_ROUTING_KEY: "x-original-routing-key",
+  // Queue whose consumer failed the message; replays go back to that queue only
+  ORIGINAL_QUEUE: "x-original-queue",
+  PARKED_REASON: "x-parked-reason",
+});
+
+class RetryManager {
+  /**
+   * Create a retry manager for a work queue
+   * @param {string} queue - Work queue the delay queues dead-letter back to
+   * @param {Object} options - Retry options
+   * @param {number[]} options.delays - Delay in ms for each retry; the last one repeats
+   * @param {number} options.maxAttempts - Total deliveries before a message is parked
+   * @param {Object} [options.policies] - Per message type { delays, maxAttempts } overrides
+   * @param {string} [options.parkingQueue] - Queue for messages that ran out of attempts
+   */
+  constructor(queue, { delays, maxAttempts, policies = {}, parkingQueue }) {
+    this.queue = queue;
+    this.defaultPolicy = { delays, maxAttempts };
+    this.policies = policies;
+    this.parkingQueue = parkingQueue || `${queue}.parking`;
+  }
+
+  /**
+   * Get the retry policy for a message type
+   * @param {string} [type] - Message type
+   * @returns {{delays: number[], maxAttempts: number}} Retry policy
+   */
+  getPolicy(type) {
+    return { ...this.defaultPolicy, ...(type && this.policies[type]) };
+  }
+
+  /**
+   * Name of the delay queue for a given delay
+   * @param {number} delay - Delay in ms
+   * @returns {string} Queue name
+   */
+  getRetryQueueName(delay) {
+    return `${this.queue}.retry.${delay}`;
+  }
+
+  /**
+   * All delays used by the default and per-type policies
+   * @returns {number[]} Unique delays in ms
+   */
+  getAllDelays() {
+    const policies = [this.defaultPolicy, ...Object.values(this.policies)];
+    const delays = policies.flatMap((policy) => policy.delays || []);
+
+    return [...new Set(delays)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Declare the delay queues and the parking queue
+   * @param {amqp.Channel} channel - Channel to declare on
+   * @param {RabbitMQConnection} connection - Connection recording topology for recovery
+   * @returns {Promise<void>}
+   */
+  async setup(channel, connection) {
+    for (const delay of this.getAllDelays()) {
+      const name = this.getRetryQueueName(delay);
+      const options = {
+        durable: true,
+        arguments: {
+          "x-message-ttl": delay,
+          // Dead-letter through the default exchange straight back to the work queue
+          "x-dead-letter-exchange": "",
+          "x-dead-letter-routing-key": this.queue,
+        },
+      };
+
+      await channel.assertQueue(name, options);
+      connection.recordQueue(name, options);
+    }
+
+    const parkingOptions = { durable: true };
+    await channel.assertQueue(this.parkingQueue, parkingOptions);
+    connection.recordQueue(this.parkingQueue, parkingOptions);
+
+    logger.info(
+      `Retry queues ready for '${this.queue}' (delays: ${this.getAllDelays().join(", ")}ms, ` +
+        `parking queue: '${this.parkingQueue}')`
+    );
+  }
+
+  /**
+   * Number of times a message has already been retried
+   * @param {Object} msg - amqplib message
+   * @returns {number} Retry count
+   */
+  getRetryCount(msg) {
+    const headers = (msg.properties && msg.properties.headers) || {};
+    return parseInt(headers[RETRY_HEADERS.COUNT] || 0, 10);
+  }
+
+  /**
+   * Schedule a retry for a failed message, or park it when out of attempts
+   *
+   * The caller should ack the original delivery once this resolves.
+   * @param {amqp.Channel} channel - Channel to republish on
+   * @param {Object} msg - Failed amqplib message
+   * @param {Object|string} content - Parsed message content
+   * @param {Error} error - Handler error
+   * @returns {Promise<string>} "retried" or "parked"
+   */
+  async handleFailure(channel, msg, content, error) {
+    const type = content && typeof content === "object" ? content.type : undefined;
+    const { delays, maxAttempts } = this.getPolicy(type);
+    const retryCount = this.getRetryCount(msg);
+    const attempt = retryCount + 1;
+    const fields = msg.fields || {};
+    const properties = msg.properties || {};
+    const previous = properties.headers || {};
+
+    // Keep the first delivery's exchange/routing key across retries
+    const headers = {
+      ...previous,
+      [RETRY_HEADERS.COUNT]: attempt,
+      [RETRY_HEADERS.LAST_ERROR]: error.message,
+      [RETRY_HEADERS.ORIGINAL_QUEUE]: this.queue,
+      [RETRY_HEADERS.ORIGINAL_EXCHANGE]:
+        previous[RETRY_HEADERS.ORIGINAL_EXCHANGE] ?? fields.exchange,
+      [RETRY_HEADERS.ORIGINAL_ROUTING_KEY]:
+        previous[RETRY_HEADERS.ORIGINAL_ROUTING_KEY] ?? fields.routingKey,
+    };
+
+    if (attempt >= maxAttempts) {
+      channel.sendToQueue(this.parkingQueue, msg.content, {
+        ...properties,
+        headers: { ...headers, [RETRY_HEADERS.PARKED_REASON]: error.message },
+      });
+
+      logger.warn(
+        `Message parked in '${this.parkingQueue}' after ${attempt} attempt(s): ${error.message}`
+      );
+      return "parked";
+    }
+
+    const delay = delays[Math.min(retryCount, delays.length - 1)];
+    const retryQueue = this.getRetryQueueName(delay);
+
+    channel.sendToQueue(retryQueue, msg.content, { ...properties, headers });
+
+    logger.info(
+      `Message scheduled for retry ${attempt}/${maxAttempts - 1} in ${delay}ms via '${retryQueue}'`
+    );
+    return "retried";
+  }
+}
+
+export default RetryManager;
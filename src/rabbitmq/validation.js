@@ -0,0 +1,77 @@
+/**
+ * RabbitMQ Validation Module
+ *
+ * This module provides middleware that validates message data against the
+ * schema registered for the message type. Publishing an invalid message
+ * fails with a SchemaValidationError; an invalid inbound message is moved to
+ * a quarantine queue with the validation errors in its headers instead of
+ * reaching the handler.
+ */
+import { SchemaValidationError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+export const VALIDATION_HEADERS = Object.freeze({
+  ERRORS: "x-validation-errors",
+  QUARANTINED_AT: "x-quarantined-at",
+  ORIGINAL_EXCHANGE: "x-original-exchange",
+  ORIGINAL_ROUTING_KEY: "x-original-routing-key",
+});
+
+/**
+ * Publisher middleware rejecting messages whose data does not match their schema
+ * @param {SchemaRegistry} registry - Schema registry
+ * @returns {Function} Middleware
+ */
+export const validatePublish = (registry) => async (ctx, next) => {
+  const { message } = ctx;
+
+  if (message && typeof message === "object" && typeof message.type === "string") {
+    const { valid, errors } = registry.validate(message.type, message.data);
+
+    if (!valid) {
+      throw new SchemaValidationError(message.type, errors);
+    }
+  }
+
+  await next();
+};
+
+/**
+ * Consumer middleware quarantining messages whose data does not match their schema
+ * @param {SchemaRegistry} registry - Schema registry
+ * @param {string} quarantineQueue - Queue for invalid messages
+ * @returns {Function} Middleware
+ */
+export const validateConsume = (registry, quarantineQueue) => async (ctx, next) => {
+  const { message, raw } = ctx;
+
+  if (!message) {
+    return next();
+  }
+
+  const { valid, errors } = registry.validate(message.type, message.data);
+
+  if (valid) {
+    return next();
+  }
+
+  const properties = raw.properties || {};
+  const fields = raw.fields || {};
+
+  ctx.state.validationErrors = errors;
+  ctx.channel.sendToQueue(quarantineQueue, raw.content, {
+    ...properties,
+    headers: {
+      ...properties.headers,
+      [VALIDATION_HEADERS.ERRORS]: errors,
+      [VALIDATION_HEADERS.QUARANTINED_AT]: new Date().toISOString(),
+      [VALIDATION_HEADERS.ORIGINAL_EXCHANGE]: fields.exchange,
+      [VALIDATION_HEADERS.ORIGINAL_ROUTING_KEY]: fields.routingKey,
+    },
+  });
+  ctx.ack();
+
+  logger.warn(
+    `Message ${message.id} (${message.type}) quarantined in '${quarantineQueue}': ${errors.join("; ")}`
+  );
+};
@@ -0,0 +1,46 @@
+/**
+ * Dead Letter Routes
+ *
+ * This module defines admin API routes for the dead-letter queue.
+ */
+import express from "express";
+import * as deadLetterController from "../controllers/dead_letter_controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/dead-letters
+ * @desc    List dead-lettered messages with their headers and failure reasons
+ * @access  Admin
+ */
+router.get("/", deadLetterController.listDeadLetters);
+
+/**
+ * @route   POST /api/admin/dead-letters/replay
+ * @desc    Replay all dead-lettered messages
+ * @access  Admin
+ */
+router.post("/replay", deadLetterController.replayAllDeadLetters);
+
+/**
+ * @route   DELETE /api/admin/dead-letters
+ * @desc    Purge the dead-letter queue
+ * @access  Admin
+ */
+router.delete("/", deadLetterController.purgeDeadLetters);
+
+/**
+ * @route   GET /api/admin/dead-letters/:messageId
+ * @desc    Get a dead-lettered message by message ID
+ * @access  Admin
+ */
+router.get("/:messageId", deadLetterController.getDeadLetter);
+
+/**
+ * @route   POST /api/admin/dead-letters/:messageId/replay
+ * @desc    Replay a dead-lettered message to the queue it failed in
+ * @access  Admin
+ */
+router.post("/:messageId/replay", deadLetterController.replayDeadLetter);
+
+export default router;
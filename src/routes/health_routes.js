@@ -0,0 +1,18 @@
+/**
+ * Health Routes
+ *
+ * This module defines API routes for health checks.
+ */
+import express from "express";
+import * as healthController from "../controllers/health_controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/health
+ * @desc    Get application and RabbitMQ connection health
+ * @access  Public
+ */
+router.get("/", healthController.getHealth);
+
+export default router;
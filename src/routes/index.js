@@ -6,11 +6,17 @@
  */
 import express from "express";
 import userRoutes from "./user_routes.js";
+import healthRoutes from "./health_routes.js";
+import deadLetterRoutes from "./dead_letter_routes.js";
+import schemaRoutes from "./schema_routes.js";
 
 const router = express.Router();
 
 // Define API routes
 router.use("/users", userRoutes);
+router.use("/health", healthRoutes);
+router.use("/admin/dead-letters", deadLetterRoutes);
+router.use("/admin/schemas", schemaRoutes);
 
 // Root path response
 router.get("/", (req, res) => {
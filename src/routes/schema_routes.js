@@ -0,0 +1,25 @@
+/**
+ * Schema Routes
+ *
+ * This module defines admin API routes for the message schema registry.
+ */
+import express from "express";
+import * as schemaController from "../controllers/schema_controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/schemas
+ * @desc    List the JSON Schemas registered per message type
+ * @access  Admin
+ */
+router.get("/", schemaController.listSchemas);
+
+/**
+ * @route   GET /api/admin/schemas/:type
+ * @desc    Get the JSON Schema for a message type
+ * @access  Admin
+ */
+router.get("/:type", schemaController.getSchema);
+
+export default router;
@@ -0,0 +1,311 @@
+/**
+ * Dead Letter Service
+ *
+ * This service inspects and recovers messages in the dead-letter queue.
+ * Messages are read with basic.get on a dedicated channel and stay unacked
+ * while they are looked at; closing the channel hands anything that was not
+ * replayed back to the queue, so listing never removes messages.
+ */
+import { rabbitmqConfig } from "../config/index.js";
+import { connectionManager } from "../rabbitmq/index.js";
+import { RETRY_HEADERS } from "../rabbitmq/retry.js";
+import { Message } from "../models/index.js";
+import { NotFoundError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+const REPLAYED_AT_HEADER = "x-replayed-at";
+
+class DeadLetterService {
+  /**
+   * Create a dead-letter service
+   * @param {Object} [options] - Service options
+   * @param {string} [options.connection] - Name of the connection to use
+   * @param {string} [options.queue] - Dead-letter queue to manage
+   * @param {number} [options.maxScan] - Max messages fetched per operation
+   */
+  constructor(options = {}) {
+    this.connection = connectionManager.get(options.connection);
+    this.queue = options.queue || rabbitmqConfig.deadLetter.queue;
+    this.maxScan = options.maxScan || rabbitmqConfig.deadLetter.maxScan;
+  }
+
+  /**
+   * Open a short-lived confirm channel, run fn with it and close it again
+   *
+   * Closing the channel requeues every message fn fetched but did not ack.
+   * @param {Function} fn - async (channel) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  async withChannel(fn) {
+    const channel = await this.connection.openChannel({
+      confirm: true,
+      purpose: "dead-letter admin",
+    });
+
+    try {
+      return await fn(channel);
+    } finally {
+      try {
+        await channel.close();
+      } catch (error) {
+        logger.warn(`Error while closing dead-letter channel: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Fetch messages from the dead-letter queue without acking them
+   * @param {amqp.Channel} channel - Channel to fetch on
+   * @param {number} limit - Max messages to fetch
+   * @param {Function} [stop] - Stop early once stop(msg) returns true
+   * @returns {Promise<Object[]>} amqplib messages, oldest first
+   */
+  async fetch(channel, limit, stop = () => false) {
+    const messages = [];
+
+    while (messages.length < limit) {
+      const msg = await channel.get(this.queue, { noAck: false });
+
+      if (!msg) {
+        break;
+      }
+
+      messages.push(msg);
+
+      if (stop(msg)) {
+        break;
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Message id of a dead-lettered message
+   * @param {Object} msg - amqplib message
+   * @returns {string|null} AMQP message id, or the id of the Message payload
+   */
+  getMessageId(msg) {
+    if (msg.properties.messageId) {
+      return msg.properties.messageId;
+    }
+
+    const content = this.parseContent(msg);
+    return content && typeof content === "object" && content.id ? String(content.id) : null;
+  }
+
+  /**
+   * Parse message content as JSON, falling back to the raw string
+   * @param {Object} msg - amqplib message
+   * @returns {Object|string} Parsed content
+   */
+  parseContent(msg) {
+    const content = msg.content.toString();
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return content;
+    }
+  }
+
+  /**
+   * Where a dead-lettered message was originally published to, and the queue it failed in
+   *
+   * Prefers the headers set by the retry manager, since after a retry
+   * the latest x-death entry points at the delay queue's dead-letter route.
+   * @param {Object} msg - amqplib message
+   * @returns {{queue: string|null, exchange: string, routingKey: string}} Original destination
+   */
+  getOrigin(msg) {
+    const headers = msg.properties.headers || {};
+    const [death] = headers["x-death"] || [];
+
+    return {
+      queue: headers[RETRY_HEADERS.ORIGINAL_QUEUE] ?? (death ? death.queue : null),
+      exchange:
+        headers[RETRY_HEADERS.ORIGINAL_EXCHANGE] ?? (death ? death.exchange : msg.fields.exchange),
+      routingKey:
+        headers[RETRY_HEADERS.ORIGINAL_ROUTING_KEY] ??
+        (death ? death["routing-keys"][0] : msg.fields.routingKey),
+    };
+  }
+
+  /**
+   * Failure details from the x-death header
+   * @param {Object} msg - amqplib message
+   * @returns {Object|null} Failure details
+   */
+  getFailure(msg) {
+    const headers = msg.properties.headers || {};
+    const [death] = headers["x-death"] || [];
+
+    if (!death) {
+      return null;
+    }
+
+    return {
+      reason: death.reason,
+      queue: death.queue,
+      count: death.count,
+      // AMQP timestamps are in seconds
+      time: death.time ? new Date(Number(death.time) * 1000).toISOString() : null,
+      lastError: headers[RETRY_HEADERS.LAST_ERROR] || null,
+    };
+  }
+
+  /**
+   * Render a dead-lettered message for the admin API
+   * @param {Object} msg - amqplib message
+   * @returns {Object} Message summary
+   */
+  render(msg) {
+    const content = this.parseContent(msg);
+    const isMessage = content && typeof content === "object" && "data" in content;
+
+    return {
+      messageId: this.getMessageId(msg),
+      message: isMessage ? Message.fromJSON(content).toJSON() : content,
+      headers: msg.properties.headers || {},
+      origin: this.getOrigin(msg),
+      failure: this.getFailure(msg),
+    };
+  }
+
+  /**
+   * List messages in the dead-letter queue
+   * @param {number} [limit] - Max messages to return
+   * @returns {Promise<Object[]>} Rendered messages
+   */
+  async list(limit = this.maxScan) {
+    return this.withChannel(async (channel) => {
+      const messages = await this.fetch(channel, Math.min(limit, this.maxScan));
+      return messages.map((msg) => this.render(msg));
+    });
+  }
+
+  /**
+   * Find one dead-lettered message
+   * @param {string} messageId - Message id
+   * @returns {Promise<Object>} Rendered message
+   * @throws {NotFoundError} If no message with that id is in the queue
+   */
+  async getById(messageId) {
+    return this.withChannel(async (channel) => {
+      const msg = await this.find(channel, messageId);
+      return this.render(msg);
+    });
+  }
+
+  /**
+   * Fetch messages until the one with the given id turns up
+   * @param {amqp.Channel} channel - Channel to fetch on
+   * @param {string} messageId - Message id
+   * @returns {Promise<Object>} amqplib message
+   * @throws {NotFoundError} If the message is not within the first maxScan messages
+   */
+  async find(channel, messageId) {
+    const messages = await this.fetch(
+      channel,
+      this.maxScan,
+      (msg) => this.getMessageId(msg) === messageId
+    );
+    const msg = messages.find((candidate) => this.getMessageId(candidate) === messageId);
+
+    if (!msg) {
+      throw new NotFoundError(`Dead-lettered message ${messageId}`);
+    }
+
+    return msg;
+  }
+
+  /**
+   * Send a dead-lettered message back to the queue it failed in and remove it
+   * from the dead-letter queue once the broker confirms it
+   *
+   * Every service queue dead-letters into the same exchange; going through the
+   * default exchange to that one queue keeps services that already handled the
+   * message from getting it again. Without a known queue the message is
+   * republished to its original exchange and routing key.
+   * @param {amqp.ConfirmChannel} channel - Confirm channel the message was fetched on
+   * @param {Object} msg - amqplib message
+   * @returns {Promise<Object>} Original destination
+   */
+  async republish(channel, msg) {
+    const origin = this.getOrigin(msg);
+    const headers = { ...msg.properties.headers };
+
+    // Start the retry cycle over and drop the old failure trail
+    delete headers["x-death"];
+    delete headers[RETRY_HEADERS.COUNT];
+    delete headers[RETRY_HEADERS.PARKED_REASON];
+
+    const [exchange, routingKey] = origin.queue
+      ? ["", origin.queue]
+      : [origin.exchange, origin.routingKey];
+
+    channel.publish(exchange, routingKey, msg.content, {
+      ...msg.properties,
+      headers: { ...headers, [REPLAYED_AT_HEADER]: new Date().toISOString() },
+    });
+    await channel.waitForConfirms();
+
+    channel.ack(msg);
+    return origin;
+  }
+
+  /**
+   * Replay one dead-lettered message
+   * @param {string} messageId - Message id
+   * @returns {Promise<Object>} Replayed message id and destination
+   * @throws {NotFoundError} If no message with that id is in the queue
+   */
+  async replay(messageId) {
+    return this.withChannel(async (channel) => {
+      const msg = await this.find(channel, messageId);
+      const origin = await this.republish(channel, msg);
+
+      logger.info(
+        origin.queue
+          ? `Replayed dead-lettered message ${messageId} to queue '${origin.queue}'`
+          : `Replayed dead-lettered message ${messageId} to exchange '${origin.exchange}' ` +
+              `with routing key '${origin.routingKey}'`
+      );
+
+      return { messageId, ...origin };
+    });
+  }
+
+  /**
+   * Replay every message in the dead-letter queue (up to maxScan)
+   * @returns {Promise<{replayed: number}>} Number of replayed messages
+   */
+  async replayAll() {
+    return this.withChannel(async (channel) => {
+      const messages = await this.fetch(channel, this.maxScan);
+
+      for (const msg of messages) {
+        await this.republish(channel, msg);
+      }
+
+      logger.info(`Replayed ${messages.length} dead-lettered message(s) from '${this.queue}'`);
+      return { replayed: messages.length };
+    });
+  }
+
+  /**
+   * Delete every message in the dead-letter queue
+   * @returns {Promise<{purged: number}>} Number of purged messages
+   */
+  async purge() {
+    return this.withChannel(async (channel) => {
+      const { messageCount } = await channel.purgeQueue(this.queue);
+
+      logger.warn(`Purged ${messageCount} message(s) from dead-letter queue '${this.queue}'`);
+      return { purged: messageCount };
+    });
+  }
+}
+
+export { DeadLetterService };
+export default new DeadLetterService();
@@ -5,5 +5,6 @@
  */
 import userService from "./user_service.js";
 import notificationService from "./notification_service.js";
+import deadLetterService from "./dead_letter_service.js";
 
-export { userService, notificationService };
+export { userService, notificationService, deadLetterService };
@@ -4,14 +4,41 @@
  * This service consumes messages from RabbitMQ and handles
  * notification-related tasks, such as email notifications.
  */
-import { Consumer } from "../rabbitmq/index.js";
-import { Message } from "../models/index.js";
+import { setTimeout as delay } from "timers/promises";
+import { Consumer, MessageRouter, logMessages } from "../rabbitmq/index.js";
 import logger from "../config/logger.js";
 
 class NotificationService {
   constructor() {
-    this.consumer = new Consumer();
+    // The service consumes its own queue, so it sees every message whatever
+    // other services do with theirs. Transient failures (e.g. SMTP hiccups) are
+    // retried with a delay when RABBITMQ_RETRY_ENABLED is set, and with
+    // RABBITMQ_DEDUP_ENABLED redeliveries of an already handled message do not
+    // send a second email
+    this.consumer = new Consumer({ service: "notifications" }).use(
+      logMessages("Notification service")
+    );
     this.isRunning = false;
+
+    // Handlers per message type; see MessageRouter for the pattern syntax
+    this.router = new MessageRouter().on("user.registered", (message, originalMessage, ctx) =>
+      this.handleUserRegistration(message.data, { signal: ctx && ctx.signal })
+    );
+
+    // Keep isRunning in line with whether a broker-side consumer actually exists
+    this.consumer.connection.on("disconnected", () => {
+      if (this.isRunning) {
+        this.isRunning = false;
+        logger.warn("Notification consumer lost its connection, waiting for recovery");
+      }
+    });
+
+    this.consumer.connection.on("consumerRecovered", (consumer) => {
+      if (consumer === this.consumer) {
+        this.isRunning = true;
+        logger.info("Notification consumer recovered after reconnect");
+      }
+    });
   }
 
   /**
@@ -56,35 +83,20 @@ class NotificationService {
    * Handle incoming messages
    * @param {Object|string} content - Message content
    * @param {Object} originalMessage - Original amqplib message
+   * @param {Object} ctx - Consumer context carrying the handler timeout signal
    */
-  async handleMessage(content, originalMessage) {
-    try {
-      // Parse message if it's not already parsed
-      const message = content instanceof Message ? content : Message.fromJSON(content);
-
-      logger.info(`Received message: ${message.id} (${message.type})`);
-
-      // Process message based on type
-      switch (message.type) {
-        case "user.registered":
-          await this.handleUserRegistration(message.data);
-          break;
-
-        default:
-          logger.warn(`Unknown message type: ${message.type}`);
-      }
-    } catch (error) {
-      logger.error(`Error handling message: ${error.message}`);
-      // In a real application, handle errors more gracefully
-      // Could implement retry logic, dead letter queues, etc.
-    }
+  async handleMessage(content, originalMessage, ctx) {
+    // Errors propagate so the consumer schedules a delayed retry
+    await this.router.route(content, originalMessage, ctx);
   }
 
   /**
    * Handle user registration notifications
    * @param {Object} userData - User data
+   * @param {Object} [options] - Handling options
+   * @param {AbortSignal} [options.signal] - Aborted when the handler times out
    */
-  async handleUserRegistration(userData) {
+  async handleUserRegistration(userData, { signal } = {}) {
     try {
       logger.info(`Processing registration notification for user: ${userData.email}`);
 
@@ -93,12 +105,14 @@ class NotificationService {
       await this.mockSendEmail(
         userData.email,
         "Welcome to Our Service!",
-        `Hi ${userData.name},\n\nThank you for registering with our service!`
+        `Hi ${userData.name},\n\nThank you for registering with our service!`,
+        { signal }
       );
 
       logger.info(`Sent welcome email to ${userData.email}`);
     } catch (error) {
       logger.error(`Failed to send welcome email: ${error.message}`);
+      throw error;
     }
   }
 
@@ -107,11 +121,13 @@ class NotificationService {
    * @param {string} to - Recipient email
    * @param {string} subject - Email subject
    * @param {string} body - Email body
+   * @param {Object} [options] - Send options
+   * @param {AbortSignal} [options.signal] - Abort the send, like a real SMTP client would
    * @returns {Promise<void>}
    */
-  async mockSendEmail(to, subject, body) {
+  async mockSendEmail(to, subject, body, { signal } = {}) {
     // Simulate network delay
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    await delay(100, undefined, { signal });
 
     // Log email details
     logger.info("====== MOCK EMAIL ======");
@@ -129,6 +145,8 @@ class NotificationService {
    */
   async stopConsuming() {
     if (!this.isRunning) {
+      // Make sure a consumer waiting for recovery is not restarted later
+      this.consumer.connection.unregisterConsumer(this.consumer);
       return;
     }
 
@@ -3,28 +3,68 @@
  *
  * This service handles user-related business logic, including
  * user registration and message queue integration.
+ *
+ * Registration events go through a transactional outbox: the user and the
+ * event are stored together, and the outbox relay publishes the event
+ * afterwards, retrying until the broker confirms it.
  */
-import { Message, User } from "../models/index.js";
+import { Message, User, schemaRegistry } from "../models/index.js";
 import { Publisher } from "../rabbitmq/index.js";
-import { ValidationError } from "../utils/errors.js";
+import OutboxRelay from "../rabbitmq/outbox_relay.js";
+import { createOutboxStore } from "../rabbitmq/outbox_store.js";
+import { rabbitmqConfig } from "../config/index.js";
+import { SchemaValidationError, ValidationError } from "../utils/errors.js";
 import logger from "../config/logger.js";
 
+const USERS = "users";
+
 class UserService {
-  constructor() {
-    this.publisher = new Publisher();
-    this.users = new Map(); // In-memory storage for demo purposes
+  /**
+   * Create a user service
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.store] - Outbox store holding users and their events
+   * @param {Object} [options.publisher] - Publisher the relay sends events with
+   * @param {Object} [options.relay] - Overrides for the relay settings
+   */
+  constructor(options = {}) {
+    // Confirm mode: an event is only marked sent once the broker has it
+    this.publisher = options.publisher || new Publisher({ confirm: true });
+    this.store = options.store || createOutboxStore(rabbitmqConfig.outbox);
+    this.relay = new OutboxRelay({
+      store: this.store,
+      publisher: this.publisher,
+      ...options.relay,
+    });
   }
 
   /**
-   * Initialize the service
+   * Initialize the service and start relaying stored events
+   *
+   * An unreadable store fails initialization. An unreachable broker does
+   * not: users can still register, and the relay publishes their events
+   * once the connection is back.
+   * @returns {Promise<boolean>} False when started without the broker
    */
   async initialize() {
-    await this.publisher.initialize();
+    await this.store.load();
+    this.relay.start();
+
+    try {
+      await this.publisher.initialize();
+    } catch (error) {
+      logger.warn(`User service started without RabbitMQ: ${error.message}`);
+      return false;
+    }
+
     logger.info("User service initialized");
+    return true;
   }
 
   /**
    * Register a new user
+   *
+   * Resolves once the user and the `user.registered` event are stored; the
+   * event is published in the background.
    * @param {Object} userData - User data
    * @returns {Promise<User>} Created user
    */
@@ -34,16 +74,24 @@ class UserService {
       const user = new User(userData.email, userData.name, userData);
       user.validate();
 
-      // In a real app, save to database here
-      this.users.set(user.id, user);
-      logger.info(`User registered: ${user.id} (${user.email})`);
-
       // Create a message for the registration event
       const message = new Message(user.toJSON(), "user.registered", { source: "user-service" });
 
-      // Publish the registration event
-      await this.publisher.publish(message);
-      logger.info(`Published user registration event for ${user.id}`);
+      // Check the event now; the relay could never publish an invalid one
+      const { valid, errors } = schemaRegistry.validate(message.type, message.data);
+      if (!valid) {
+        throw new SchemaValidationError(message.type, errors);
+      }
+
+      // Store the user and its event together, or neither
+      await this.store.transaction((tx) => {
+        tx.put(USERS, user.id, user.toJSON());
+        tx.enqueue(message);
+      });
+      logger.info(`User registered: ${user.id} (${user.email})`);
+
+      // Publish right away rather than on the next poll
+      this.relay.notify();
 
       return user;
     } catch (error) {
@@ -63,7 +111,8 @@ class UserService {
    * @returns {User|null} User if found, null otherwise
    */
   async getUserById(userId) {
-    return this.users.get(userId) || null;
+    const user = await this.store.get(USERS, userId);
+    return user ? User.fromJSON(user) : null;
   }
 
   /**
@@ -71,16 +120,21 @@ class UserService {
    * @returns {User[]} Array of users
    */
   async getAllUsers() {
-    return Array.from(this.users.values());
+    return (await this.store.values(USERS)).map((user) => User.fromJSON(user));
   }
 
   /**
    * Close service connections
+   *
+   * Events not yet published stay in the outbox and are sent after a restart.
    */
   async close() {
+    await this.relay.stop();
     await this.publisher.close();
+    await this.store.close();
     logger.info("User service shut down");
   }
 }
 
+export { UserService };
 export default new UserService();
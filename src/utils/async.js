@@ -0,0 +1,23 @@
+/**
+ * Async Utilities
+ *
+ * This module provides small helpers for working with promises.
+ */
+
+/**
+ * Wait for a promise to settle, but no longer than a deadline
+ * @param {Promise} promise - Promise to wait for; its outcome is ignored
+ * @param {number} timeout - Deadline in ms
+ * @returns {Promise<boolean>} True if the promise settled in time, false on timeout
+ */
+export const settleWithin = (promise, timeout) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeout);
+
+    Promise.resolve(promise)
+      .catch(() => {})
+      .then(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+  });
@@ -29,6 +29,22 @@ export class ValidationError extends AppError {
   }
 }
 
+/**
+ * Error for when message data does not match the schema for its type
+ */
+export class SchemaValidationError extends ValidationError {
+  /**
+   * @param {string} type - Message type
+   * @param {string[]} errors - Validation error messages
+   */
+  constructor(type, errors) {
+    super(`Message of type '${type}' failed schema validation: ${errors.join("; ")}`);
+    this.name = "SchemaValidationError";
+    this.messageType = type;
+    this.errors = errors;
+  }
+}
+
 /**
  * Error for when a resource is not found
  */
@@ -50,6 +66,90 @@ export class MessageQueueError extends AppError {
   }
 }
 
+/**
+ * Error for when a publish is refused because the outbound buffer is full
+ */
+export class BackpressureError extends MessageQueueError {
+  constructor(message) {
+    super(message);
+    this.name = "BackpressureError";
+    this.statusCode = 503;
+  }
+}
+
+/**
+ * Error for when a publish is refused because the broker blocked the connection
+ */
+export class ConnectionBlockedError extends MessageQueueError {
+  constructor(message) {
+    super(message);
+    this.name = "ConnectionBlockedError";
+    this.statusCode = 503;
+  }
+}
+
+/**
+ * Error for when the broker returns a mandatory publish no queue is bound for
+ */
+export class UnroutableMessageError extends MessageQueueError {
+  /**
+   * @param {string} exchange - Exchange the message was published to
+   * @param {string} routingKey - Routing key no queue is bound for
+   * @param {string} [replyText] - Reason given by the broker, e.g. "NO_ROUTE"
+   */
+  constructor(exchange, routingKey, replyText = "NO_ROUTE") {
+    super(
+      `Message to exchange '${exchange}' with routing key '${routingKey}' was returned as unroutable (${replyText})`
+    );
+    this.name = "UnroutableMessageError";
+    this.exchange = exchange;
+    this.routingKey = routingKey;
+  }
+}
+
+/**
+ * Error for when a publish cannot be spooled because the publish spool is full
+ */
+export class SpoolFullError extends MessageQueueError {
+  constructor(message) {
+    super(message);
+    this.name = "SpoolFullError";
+    this.statusCode = 503;
+  }
+}
+
+/**
+ * Error for when a consumed message has a type no handler is registered for
+ */
+export class UnhandledMessageError extends MessageQueueError {
+  /**
+   * @param {string} type - Message type
+   * @param {string} action - How the consumer settles the message: "reject" or "dead-letter"
+   */
+  constructor(type, action) {
+    super(`No handler registered for message type '${type}'`);
+    this.name = "UnhandledMessageError";
+    this.messageType = type;
+    this.action = action;
+  }
+}
+
+/**
+ * Error for when a message handler runs longer than its timeout
+ */
+export class HandlerTimeoutError extends MessageQueueError {
+  /**
+   * @param {string} messageId - Id of the message being handled
+   * @param {number} timeout - Timeout in ms that expired
+   */
+  constructor(messageId, timeout) {
+    super(`Handler for message '${messageId}' timed out after ${timeout}ms`);
+    this.name = "HandlerTimeoutError";
+    this.messageId = messageId;
+    this.timeout = timeout;
+  }
+}
+
 /**
  * Global error handler for unexpected exceptions
  * @param {Error} error - The error that occurred
@@ -0,0 +1,26 @@
+/**
+ * File Utilities
+ *
+ * This module provides helpers shared by the file-backed stores.
+ */
+import path from "path";
+
+/**
+ * Get the instance owning a file, creating it on first use
+ *
+ * Instances are keyed by resolved path, so every caller naming the same file
+ * shares one: two instances writing one file would overwrite each other.
+ * @param {Map} registry - Instances by resolved path
+ * @param {string} file - File path
+ * @param {Function} create - (resolvedPath) => instance
+ * @returns {*} Instance owning the file
+ */
+export const sharedByFile = (registry, file, create) => {
+  const resolved = path.resolve(file);
+
+  if (!registry.has(resolved)) {
+    registry.set(resolved, create(resolved));
+  }
+
+  return registry.get(resolved);
+};
@@ -0,0 +1,64 @@
+/**
+ * Schema Registry Tests
+ */
+import { schemaRegistry, SchemaRegistry, User } from "../../src/models/index.js";
+
+describe("Schema Registry", () => {
+  describe("built-in schemas", () => {
+    it("should register the user.registered schema", () => {
+      expect(schemaRegistry.has("user.registered")).toBe(true);
+      expect(schemaRegistry.list().map((entry) => entry.type)).toContain("user.registered");
+    });
+
+    it("should accept the data of a registered user", () => {
+      const user = new User("jane@example.com", "Jane Doe");
+
+      expect(schemaRegistry.validate("user.registered", user.toJSON())).toEqual({
+        valid: true,
+        errors: [],
+      });
+    });
+
+    it("should report every problem with an invalid user", () => {
+      const { valid, errors } = schemaRegistry.validate("user.registered", {
+        id: "1",
+        email: "not-an-email",
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(
+        expect.arrayContaining([
+          "/ must have required property 'name'",
+          '/email must match format "email"',
+        ])
+      );
+    });
+  });
+
+  describe("custom registries", () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new SchemaRegistry();
+    });
+
+    it("should skip validation for types without a schema", () => {
+      expect(registry.validate("order.created", null)).toEqual({ valid: true, errors: [] });
+    });
+
+    it("should register, get and list schemas", () => {
+      const schema = { type: "object", required: ["total"] };
+
+      registry.register("order.created", schema);
+
+      expect(registry.get("order.created")).toBe(schema);
+      expect(registry.get("order.cancelled")).toBeNull();
+      expect(registry.list()).toEqual([{ type: "order.created", schema }]);
+      expect(registry.validate("order.created", {}).valid).toBe(false);
+    });
+
+    it("should refuse invalid schemas", () => {
+      expect(() => registry.register("broken", { type: "nope" })).toThrow();
+    });
+  });
+});
@@ -1,13 +1,18 @@
 /**
  * Consumer Tests
- * 
+ *
  * Comprehensive test suite for the RabbitMQ Consumer module
  * covering all methods and edge cases with clean code practices.
  */
 import { jest, describe, beforeEach, it, expect, afterEach } from "@jest/globals";
 import { Consumer } from "../../src/rabbitmq/index.js";
+import { parseQueueDefinitions } from "../../src/config/rabbitmq.js";
 import { Message } from "../../src/models/index.js";
 import rabbitMQConnection from "../../src/rabbitmq/connection.js";
+import { HandlerTimeoutError, UnhandledMessageError } from "../../src/utils/errors.js";
+
+// Handlers receive the delivery context, carrying the timeout signal, as their third argument
+const handlerContext = expect.objectContaining({ signal: expect.any(AbortSignal) });
 
 describe("Consumer", () => {
   let consumer;
@@ -23,14 +28,16 @@ describe("Consumer", () => {
       assertExchange: jest.fn().mockResolvedValue({}),
       assertQueue: jest.fn().mockResolvedValue({ queue: "message_queue" }),
       bindQueue: jest.fn().mockResolvedValue({}),
+      prefetch: jest.fn().mockResolvedValue({}),
       consume: jest.fn().mockResolvedValue({ consumerTag: "test-consumer-tag" }),
       ack: jest.fn().mockReturnValue(undefined),
       reject: jest.fn().mockReturnValue(undefined),
       cancel: jest.fn().mockResolvedValue({}),
+      close: jest.fn().mockResolvedValue(),
     };
 
     // Mock the connection methods
-    jest.spyOn(rabbitMQConnection, "createChannel").mockImplementation(() => {
+    jest.spyOn(rabbitMQConnection, "openChannel").mockImplementation(() => {
       return Promise.resolve(mockChannel);
     });
 
@@ -57,35 +64,140 @@ describe("Consumer", () => {
       expect(consumer.exchangeOptions).toBe(consumer.config.exchange.options);
       expect(consumer.queue).toBe(consumer.config.queue.name);
       expect(consumer.queueOptions).toBe(consumer.config.queue.options);
-      expect(consumer.defaultRoutingKey).toBe(consumer.config.routingKey);
+      expect(consumer.bindings).toBe(consumer.config.queue.bindings);
       expect(consumer.consumerTag).toBeNull();
     });
+
+    it("should consume a queue defined in the configuration", () => {
+      consumer.config.queues.audit = {
+        name: "audit",
+        bindings: ["#"],
+        options: { durable: true },
+      };
+
+      try {
+        consumer = new Consumer({ queue: "audit" });
+
+        expect(consumer.queue).toBe("audit");
+        expect(consumer.bindings).toEqual(["#"]);
+        expect(consumer.queueOptions).toEqual({ durable: true });
+        expect(consumer.retry).toBeNull();
+        expect(new Consumer({ queue: "audit", bindings: ["user.*"] }).bindings).toEqual(["user.*"]);
+      } finally {
+        delete consumer.config.queues.audit;
+      }
+    });
+
+    it("should give each service its own subscription queue", () => {
+      const { queuePrefix } = consumer.config.services;
+      const notifications = new Consumer({ service: "notifications" });
+      const processor = new Consumer({ service: "message-processor", bindings: ["user.*"] });
+
+      expect(notifications.queue).toBe(`${queuePrefix}.notifications`);
+      expect(notifications.bindings).toEqual(["#"]);
+      expect(notifications.queueOptions).toBe(consumer.config.queue.options);
+      expect(processor.queue).toBe(`${queuePrefix}.message-processor`);
+      expect(processor.bindings).toEqual(["user.*"]);
+      expect(processor.getStats().service).toBe("message-processor");
+    });
+
+    it("should take a service queue's bindings from the queue definitions", () => {
+      const name = `${consumer.config.services.queuePrefix}.audit`;
+      consumer.config.queues[name] = { name, bindings: ["user.*"], options: { durable: true } };
+
+      try {
+        const audit = new Consumer({ service: "audit" });
+
+        expect(audit.queue).toBe(name);
+        expect(audit.bindings).toEqual(["user.*"]);
+        expect(audit.queueOptions).toEqual({ durable: true });
+      } finally {
+        delete consumer.config.queues[name];
+      }
+    });
+
+    it("should refuse queues missing from the configuration", () => {
+      expect(() => new Consumer({ queue: "unknown" })).toThrow(
+        "Queue 'unknown' is not configured; add it to RABBITMQ_QUEUES"
+      );
+    });
+
+    it("should parse queue definitions from JSON", () => {
+      const defaults = { durable: true };
+
+      expect(
+        parseQueueDefinitions(
+          '{"notifications":["user.*","account.#"],"audit":{"bindings":"#","options":{"exclusive":true}}}',
+          defaults
+        )
+      ).toEqual({
+        notifications: {
+          name: "notifications",
+          bindings: ["user.*", "account.#"],
+          options: { durable: true },
+        },
+        audit: { name: "audit", bindings: ["#"], options: { durable: true, exclusive: true } },
+      });
+      expect(parseQueueDefinitions(undefined, defaults)).toEqual({});
+    });
   });
 
   describe("initialize()", () => {
     it("should successfully initialize exchange, queue, and bindings", async () => {
       await consumer.initialize();
 
-      expect(rabbitMQConnection.createChannel).toHaveBeenCalled();
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalled();
       expect(mockChannel.assertExchange).toHaveBeenCalledWith(
         consumer.exchange,
         consumer.exchangeType,
         consumer.exchangeOptions
       );
-      expect(mockChannel.assertQueue).toHaveBeenCalledWith(
-        consumer.queue,
-        consumer.queueOptions
-      );
-      expect(mockChannel.bindQueue).toHaveBeenCalledWith(
-        consumer.queue,
-        consumer.exchange,
-        consumer.defaultRoutingKey
-      );
+      expect(mockChannel.assertQueue).toHaveBeenCalledWith(consumer.queue, consumer.queueOptions);
+      consumer.bindings.forEach((pattern) => {
+        expect(mockChannel.bindQueue).toHaveBeenCalledWith(
+          consumer.queue,
+          consumer.exchange,
+          pattern
+        );
+      });
+    });
+
+    it("should bind the queue once per routing key pattern and record each binding", async () => {
+      jest.spyOn(rabbitMQConnection, "recordBinding");
+      consumer = new Consumer({ bindings: ["user.*", "order.#"] });
+
+      await consumer.initialize();
+
+      ["user.*", "order.#"].forEach((pattern) => {
+        expect(mockChannel.bindQueue).toHaveBeenCalledWith(
+          consumer.queue,
+          consumer.exchange,
+          pattern
+        );
+        expect(rabbitMQConnection.recordBinding).toHaveBeenCalledWith(
+          consumer.queue,
+          consumer.exchange,
+          pattern
+        );
+      });
+    });
+
+    it("should declare the dead-letter exchange and queue the work queue dead-letters to", async () => {
+      await consumer.initialize();
+
+      const { exchange, exchangeType, queue } = consumer.deadLetter;
+      // The queue argument is opt-in (RABBITMQ_QUEUE_DLX) so existing queues still declare
+      expect(consumer.queueOptions.arguments).toBeUndefined();
+      expect(mockChannel.assertExchange).toHaveBeenCalledWith(exchange, exchangeType, {
+        durable: true,
+      });
+      expect(mockChannel.assertQueue).toHaveBeenCalledWith(queue, { durable: true });
+      expect(mockChannel.bindQueue).toHaveBeenCalledWith(queue, exchange, "");
     });
 
     it("should handle initialization errors gracefully", async () => {
       const error = new Error("Failed to create channel");
-      rabbitMQConnection.createChannel.mockRejectedValueOnce(error);
+      rabbitMQConnection.openChannel.mockRejectedValueOnce(error);
 
       await expect(consumer.initialize()).rejects.toThrow("Failed to create channel");
     });
@@ -121,40 +233,43 @@ describe("Consumer", () => {
     it("should start consuming with default options", async () => {
       const consumerTag = await consumer.consume(mockMessageHandler);
 
-      expect(rabbitMQConnection.createChannel).toHaveBeenCalled();
-      expect(mockChannel.consume).toHaveBeenCalledWith(
-        consumer.queue,
-        expect.any(Function),
-        { noAck: false }
-      );
+      // The channel opened during initialize() is reused
+      expect(rabbitMQConnection.openChannel).not.toHaveBeenCalled();
+      expect(mockChannel.consume).toHaveBeenCalledWith(consumer.queue, expect.any(Function), {
+        noAck: false,
+      });
       expect(consumerTag).toBe("test-consumer-tag");
       expect(consumer.consumerTag).toBe("test-consumer-tag");
     });
 
     it("should start consuming with custom options", async () => {
       const customOptions = { noAck: true, exclusive: true };
-      
+
       await consumer.consume(mockMessageHandler, customOptions);
 
-      expect(mockChannel.consume).toHaveBeenCalledWith(
-        consumer.queue,
-        expect.any(Function),
-        { noAck: true, exclusive: true }
-      );
+      expect(mockChannel.consume).toHaveBeenCalledWith(consumer.queue, expect.any(Function), {
+        noAck: true,
+        exclusive: true,
+      });
     });
 
     it("should handle channel creation errors", async () => {
       const error = new Error("Failed to create channel");
-      rabbitMQConnection.createChannel.mockRejectedValueOnce(error);
+      rabbitMQConnection.openChannel.mockRejectedValueOnce(error);
+      consumer = new Consumer();
 
-      await expect(consumer.consume(mockMessageHandler)).rejects.toThrow("Failed to create channel");
+      await expect(consumer.consume(mockMessageHandler)).rejects.toThrow(
+        "Failed to create channel"
+      );
     });
 
     it("should handle consume errors", async () => {
       const error = new Error("Failed to start consuming");
       mockChannel.consume.mockRejectedValueOnce(error);
 
-      await expect(consumer.consume(mockMessageHandler)).rejects.toThrow("Failed to start consuming");
+      await expect(consumer.consume(mockMessageHandler)).rejects.toThrow(
+        "Failed to start consuming"
+      );
     });
 
     describe("Message Processing", () => {
@@ -175,7 +290,7 @@ describe("Consumer", () => {
 
         await messageCallback(mockMessage);
 
-        expect(mockMessageHandler).toHaveBeenCalledWith(testData, mockMessage);
+        expect(mockMessageHandler).toHaveBeenCalledWith(testData, mockMessage, handlerContext);
         expect(mockChannel.ack).toHaveBeenCalledWith(mockMessage);
       });
 
@@ -188,7 +303,7 @@ describe("Consumer", () => {
 
         await messageCallback(mockMessage);
 
-        expect(mockMessageHandler).toHaveBeenCalledWith(testContent, mockMessage);
+        expect(mockMessageHandler).toHaveBeenCalledWith(testContent, mockMessage, handlerContext);
         expect(mockChannel.ack).toHaveBeenCalledWith(mockMessage);
       });
 
@@ -201,7 +316,11 @@ describe("Consumer", () => {
 
         await messageCallback(mockMessage);
 
-        expect(mockMessageHandler).toHaveBeenCalledWith(message.toJSON(), mockMessage);
+        expect(mockMessageHandler).toHaveBeenCalledWith(
+          message.toJSON(),
+          mockMessage,
+          handlerContext
+        );
         expect(mockChannel.ack).toHaveBeenCalledWith(mockMessage);
       });
 
@@ -224,7 +343,7 @@ describe("Consumer", () => {
 
         await messageCallback(mockMessage);
 
-        expect(mockMessageHandler).toHaveBeenCalledWith(testData, mockMessage);
+        expect(mockMessageHandler).toHaveBeenCalledWith(testData, mockMessage, handlerContext);
         expect(mockChannel.ack).not.toHaveBeenCalled();
         expect(mockChannel.reject).toHaveBeenCalledWith(mockMessage, false);
       });
@@ -238,7 +357,7 @@ describe("Consumer", () => {
 
         await messageCallback(mockMessage);
 
-        expect(mockMessageHandler).toHaveBeenCalledWith(invalidJson, mockMessage);
+        expect(mockMessageHandler).toHaveBeenCalledWith(invalidJson, mockMessage, handlerContext);
         expect(mockChannel.ack).toHaveBeenCalledWith(mockMessage);
       });
 
@@ -256,7 +375,7 @@ describe("Consumer", () => {
 
         await noAckCallback(mockMessage);
 
-        expect(mockMessageHandler).toHaveBeenCalledWith(testData, mockMessage);
+        expect(mockMessageHandler).toHaveBeenCalledWith(testData, mockMessage, handlerContext);
         expect(mockChannel.ack).not.toHaveBeenCalled();
       });
 
@@ -276,7 +395,7 @@ describe("Consumer", () => {
 
         await noAckCallback(mockMessage);
 
-        expect(mockMessageHandler).toHaveBeenCalledWith(testData, mockMessage);
+        expect(mockMessageHandler).toHaveBeenCalledWith(testData, mockMessage, handlerContext);
         expect(mockChannel.ack).not.toHaveBeenCalled();
         expect(mockChannel.reject).not.toHaveBeenCalled();
       });
@@ -290,7 +409,7 @@ describe("Consumer", () => {
 
       await consumer.cancel();
 
-      expect(rabbitMQConnection.createChannel).toHaveBeenCalled();
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalled();
       expect(mockChannel.cancel).toHaveBeenCalledWith("test-consumer-tag");
       expect(consumer.consumerTag).toBeNull();
     });
@@ -300,14 +419,14 @@ describe("Consumer", () => {
 
       await consumer.cancel();
 
-      expect(rabbitMQConnection.createChannel).not.toHaveBeenCalled();
+      expect(rabbitMQConnection.openChannel).not.toHaveBeenCalled();
       expect(mockChannel.cancel).not.toHaveBeenCalled();
     });
 
     it("should handle channel creation errors during cancellation", async () => {
       consumer.consumerTag = "test-consumer-tag";
       const error = new Error("Failed to create channel");
-      rabbitMQConnection.createChannel.mockRejectedValueOnce(error);
+      rabbitMQConnection.openChannel.mockRejectedValueOnce(error);
 
       await expect(consumer.cancel()).rejects.toThrow("Failed to create channel");
     });
@@ -322,14 +441,15 @@ describe("Consumer", () => {
   });
 
   describe("close()", () => {
-    it("should close consumer and connection successfully", async () => {
+    it("should cancel the consumer and close its channel but not the connection", async () => {
       consumer.consumerTag = "test-consumer-tag";
 
       await consumer.close();
 
       expect(mockChannel.cancel).toHaveBeenCalledWith("test-consumer-tag");
       expect(consumer.consumerTag).toBeNull();
-      expect(rabbitMQConnection.close).toHaveBeenCalled();
+      expect(mockChannel.close).toHaveBeenCalled();
+      expect(rabbitMQConnection.close).not.toHaveBeenCalled();
     });
 
     it("should handle errors during close gracefully", async () => {
@@ -341,22 +461,48 @@ describe("Consumer", () => {
       await expect(consumer.close()).rejects.toThrow("Failed to cancel consumer");
     });
 
-    it("should close connection even when cancel fails", async () => {
-      // Mock cancel to not throw so we can test connection close
-      jest.spyOn(consumer, 'cancel').mockResolvedValueOnce(undefined);
+    it("should close its channel after cancelling", async () => {
+      await consumer.initialize();
+      jest.spyOn(consumer, "cancel").mockResolvedValueOnce(undefined);
 
       await consumer.close();
 
       expect(consumer.cancel).toHaveBeenCalled();
-      expect(rabbitMQConnection.close).toHaveBeenCalled();
+      expect(mockChannel.close).toHaveBeenCalled();
+    });
+
+    it("should not wait for a channel still being opened, and close it once open", async () => {
+      let openChannel;
+      rabbitMQConnection.openChannel.mockReturnValueOnce(
+        new Promise((resolve) => (openChannel = resolve))
+      );
+      const initializing = consumer.initialize().catch(() => {});
+
+      await consumer.close();
+      expect(mockChannel.close).not.toHaveBeenCalled();
+
+      openChannel(mockChannel);
+      await initializing;
+      expect(mockChannel.close).toHaveBeenCalled();
+    });
+
+    it("should not cancel on a new channel once the consuming channel closed", async () => {
+      await consumer.consume(mockMessageHandler);
+      rabbitMQConnection.openChannel.mock.calls[0][0].onClose();
+
+      await consumer.close();
+
+      expect(mockChannel.cancel).not.toHaveBeenCalled();
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalledTimes(1);
     });
 
-    it("should handle connection close errors", async () => {
-      jest.spyOn(consumer, 'cancel').mockResolvedValueOnce(undefined);
-      const error = new Error("Failed to close connection");
-      rabbitMQConnection.close.mockRejectedValueOnce(error);
+    it("should handle channel close errors", async () => {
+      await consumer.initialize();
+      jest.spyOn(consumer, "cancel").mockResolvedValueOnce(undefined);
+      const error = new Error("Failed to close channel");
+      mockChannel.close.mockRejectedValueOnce(error);
 
-      await expect(consumer.close()).rejects.toThrow("Failed to close connection");
+      await expect(consumer.close()).rejects.toThrow("Failed to close channel");
     });
   });
 
@@ -378,7 +524,7 @@ describe("Consumer", () => {
         content: Buffer.from(JSON.stringify({ test: "data" })),
         properties: { messageId: "test-id" },
       };
-      
+
       await messageCallback(testMessage);
       expect(mockMessageHandler).toHaveBeenCalled();
       expect(mockChannel.ack).toHaveBeenCalled();
@@ -386,7 +532,7 @@ describe("Consumer", () => {
       // Cancel and close
       await consumer.close();
       expect(mockChannel.cancel).toHaveBeenCalled();
-      expect(rabbitMQConnection.close).toHaveBeenCalled();
+      expect(mockChannel.close).toHaveBeenCalled();
       expect(consumer.consumerTag).toBeNull();
     });
 
@@ -412,4 +558,687 @@ describe("Consumer", () => {
       expect(mockChannel.ack).toHaveBeenCalledTimes(2);
     });
   });
-}); 
\ No newline at end of file
+
+  describe("Retries", () => {
+    let messageCallback;
+
+    const deliver = (body, headers) => {
+      const msg = {
+        content: Buffer.from(JSON.stringify(body)),
+        fields: { exchange: "message_exchange", routingKey: "message.new" },
+        properties: { messageId: "test-id", headers },
+      };
+      return messageCallback(msg).then(() => msg);
+    };
+
+    beforeEach(async () => {
+      mockChannel.sendToQueue = jest.fn().mockReturnValue(true);
+      consumer = new Consumer({
+        retry: {
+          delays: [1000, 10000],
+          maxAttempts: 3,
+          policies: { "user.registered": { delays: [5000], maxAttempts: 5 } },
+        },
+        // Payloads here are not meant to satisfy the user.registered schema
+        validation: false,
+      });
+
+      await consumer.initialize();
+      await consumer.consume(mockMessageHandler);
+      messageCallback = mockChannel.consume.mock.calls[0][1];
+      mockMessageHandler.mockRejectedValue(new Error("SMTP timeout"));
+    });
+
+    it("should be disabled unless requested", () => {
+      expect(new Consumer().retry).toBeNull();
+      expect(new Consumer({ retry: false }).retry).toBeNull();
+    });
+
+    it("should declare delay queues that dead-letter back to the work queue", () => {
+      const queue = consumer.queue;
+
+      [1000, 5000, 10000].forEach((delay) => {
+        expect(mockChannel.assertQueue).toHaveBeenCalledWith(`${queue}.retry.${delay}`, {
+          durable: true,
+          arguments: {
+            "x-message-ttl": delay,
+            "x-dead-letter-exchange": "",
+            "x-dead-letter-routing-key": queue,
+          },
+        });
+      });
+      expect(mockChannel.assertQueue).toHaveBeenCalledWith(`${queue}.parking`, {
+        durable: true,
+      });
+    });
+
+    it("should republish a failed message to the first delay queue and ack it", async () => {
+      const msg = await deliver({ type: "test.type", data: {} });
+
+      expect(mockChannel.sendToQueue).toHaveBeenCalledWith(
+        `${consumer.queue}.retry.1000`,
+        msg.content,
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            "x-retry-count": 1,
+            "x-last-error": "SMTP timeout",
+            "x-original-exchange": "message_exchange",
+            "x-original-routing-key": "message.new",
+            "x-original-queue": consumer.queue,
+          }),
+        })
+      );
+      expect(mockChannel.ack).toHaveBeenCalledWith(msg);
+      expect(mockChannel.reject).not.toHaveBeenCalled();
+    });
+
+    it("should use the next delay on later attempts", async () => {
+      await deliver({ type: "test.type", data: {} }, { "x-retry-count": 1 });
+
+      expect(mockChannel.sendToQueue).toHaveBeenCalledWith(
+        `${consumer.queue}.retry.10000`,
+        expect.any(Buffer),
+        expect.objectContaining({
+          headers: expect.objectContaining({ "x-retry-count": 2 }),
+        })
+      );
+    });
+
+    it("should park the message once max attempts are reached", async () => {
+      await deliver({ type: "test.type", data: {} }, { "x-retry-count": 2 });
+
+      expect(mockChannel.sendToQueue).toHaveBeenCalledWith(
+        `${consumer.queue}.parking`,
+        expect.any(Buffer),
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            "x-retry-count": 3,
+            "x-parked-reason": "SMTP timeout",
+          }),
+        })
+      );
+      expect(mockChannel.ack).toHaveBeenCalled();
+    });
+
+    it("should apply per message type policies", async () => {
+      await deliver({ type: "user.registered", data: {} }, { "x-retry-count": 3 });
+
+      expect(mockChannel.sendToQueue).toHaveBeenCalledWith(
+        `${consumer.queue}.retry.5000`,
+        expect.any(Buffer),
+        expect.objectContaining({
+          headers: expect.objectContaining({ "x-retry-count": 4 }),
+        })
+      );
+    });
+
+    it("should not retry messages no handler is registered for", async () => {
+      mockMessageHandler.mockRejectedValue(new UnhandledMessageError("invoice.paid", "reject"));
+
+      const msg = await deliver({ type: "invoice.paid", data: {} });
+
+      expect(mockChannel.sendToQueue).not.toHaveBeenCalled();
+      expect(mockChannel.reject).toHaveBeenCalledWith(msg, false);
+    });
+
+    it("should move unhandled messages to the dead-letter exchange with the reason", async () => {
+      mockChannel.publish = jest.fn().mockReturnValue(true);
+      mockMessageHandler.mockRejectedValue(
+        new UnhandledMessageError("invoice.paid", "dead-letter")
+      );
+
+      const msg = await deliver({ type: "invoice.paid", data: {} });
+
+      expect(mockChannel.publish).toHaveBeenCalledWith(
+        consumer.deadLetter.exchange,
+        "message.new",
+        msg.content,
+        expect.objectContaining({
+          messageId: "test-id",
+          headers: expect.objectContaining({
+            "x-last-error": expect.stringContaining("invoice.paid"),
+            "x-original-exchange": "message_exchange",
+            "x-original-routing-key": "message.new",
+            "x-original-queue": consumer.queue,
+          }),
+        })
+      );
+      expect(mockChannel.ack).toHaveBeenCalledWith(msg);
+      expect(mockChannel.sendToQueue).not.toHaveBeenCalled();
+    });
+
+    it("should fall back to rejecting when the retry cannot be published", async () => {
+      mockChannel.sendToQueue.mockImplementationOnce(() => {
+        throw new Error("Channel closed");
+      });
+
+      const msg = await deliver({ type: "test.type", data: {} });
+
+      expect(mockChannel.ack).not.toHaveBeenCalled();
+      expect(mockChannel.reject).toHaveBeenCalledWith(msg, false);
+    });
+  });
+
+  describe("Prefetch and concurrency", () => {
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise((res) => {
+        resolve = res;
+      });
+      return { promise, resolve };
+    };
+
+    const message = (n) => ({
+      content: Buffer.from(JSON.stringify({ n })),
+      properties: {},
+    });
+
+    it("should set the channel prefetch before consuming", async () => {
+      consumer = new Consumer({ prefetch: 20, concurrency: 5 });
+      await consumer.consume(mockMessageHandler);
+
+      expect(mockChannel.prefetch).toHaveBeenCalledWith(20);
+      expect(mockChannel.prefetch.mock.invocationCallOrder[0]).toBeLessThan(
+        mockChannel.consume.mock.invocationCallOrder[0]
+      );
+    });
+
+    it("should not set a prefetch when it is 0", async () => {
+      consumer = new Consumer({ prefetch: 0 });
+      await consumer.consume(mockMessageHandler);
+
+      expect(mockChannel.prefetch).not.toHaveBeenCalled();
+    });
+
+    it("should reject an invalid concurrency", () => {
+      expect(() => new Consumer({ concurrency: 0 })).toThrow(
+        "Concurrency must be a positive integer"
+      );
+    });
+
+    it("should never run more handlers than the concurrency limit", async () => {
+      const gates = [];
+      let running = 0;
+      let maxRunning = 0;
+
+      const handler = jest.fn(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+
+        const gate = deferred();
+        gates.push(gate);
+        await gate.promise;
+
+        running--;
+      });
+
+      consumer = new Consumer({ prefetch: 10, concurrency: 3 });
+      await consumer.consume(handler);
+      const messageCallback = mockChannel.consume.mock.calls[0][1];
+
+      const messages = Array.from({ length: 10 }, (_, i) => message(i));
+      const settled = messages.map((msg) => messageCallback(msg));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(handler).toHaveBeenCalledTimes(3);
+      expect(consumer.getStats()).toMatchObject({ inFlight: 3, waiting: 7, concurrency: 3 });
+
+      // Release handlers one at a time; a waiting message takes each freed slot
+      while (gates.length > 0) {
+        gates.shift().resolve();
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      await Promise.all(settled);
+
+      expect(handler).toHaveBeenCalledTimes(10);
+      expect(maxRunning).toBe(3);
+      expect(consumer.getStats()).toMatchObject({
+        inFlight: 0,
+        waiting: 0,
+        started: 10,
+        completed: 10,
+        maxInFlight: 3,
+      });
+    });
+
+    it("should start waiting messages in delivery order and ack each one it handled", async () => {
+      const gates = new Map();
+      const started = [];
+
+      const handler = jest.fn(async (content) => {
+        started.push(content.n);
+        const gate = deferred();
+        gates.set(content.n, gate);
+        await gate.promise;
+      });
+
+      consumer = new Consumer({ concurrency: 2 });
+      await consumer.consume(handler);
+      const messageCallback = mockChannel.consume.mock.calls[0][1];
+
+      const messages = [0, 1, 2, 3].map(message);
+      const settled = messages.map((msg) => messageCallback(msg));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      // The second message finishes first and is acked on its own
+      gates.get(1).resolve();
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(mockChannel.ack).toHaveBeenCalledTimes(1);
+      expect(mockChannel.ack).toHaveBeenCalledWith(messages[1]);
+
+      gates.get(0).resolve();
+      await new Promise((resolve) => setImmediate(resolve));
+      gates.get(2).resolve();
+      gates.get(3).resolve();
+      await Promise.all(settled);
+
+      expect(started).toEqual([0, 1, 2, 3]);
+      expect(mockChannel.ack.mock.calls.map(([msg]) => msg)).toEqual([
+        messages[1],
+        messages[0],
+        messages[2],
+        messages[3],
+      ]);
+    });
+
+    it("should drop messages that were still waiting when the channel is recovered", async () => {
+      const gate = deferred();
+      const handler = jest.fn(() => gate.promise);
+
+      consumer = new Consumer({ concurrency: 1 });
+      await consumer.consume(handler);
+      const messageCallback = mockChannel.consume.mock.calls[0][1];
+
+      messageCallback(message(1));
+      const waiting = messageCallback(message(2));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      await consumer.recover();
+      await waiting;
+      gate.resolve();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(consumer.getStats().dropped).toBe(1);
+    });
+  });
+
+  describe("Middleware", () => {
+    let messageCallback;
+    let msg;
+
+    beforeEach(async () => {
+      mockChannel.nack = jest.fn();
+      msg = {
+        content: Buffer.from(JSON.stringify(new Message({ n: 1 }, "test.event").toJSON())),
+        properties: {},
+      };
+    });
+
+    const start = async (handler = mockMessageHandler) => {
+      await consumer.consume(handler);
+      messageCallback = mockChannel.consume.mock.calls[0][1];
+    };
+
+    it("should run middleware in order around the handler", async () => {
+      const calls = [];
+
+      consumer
+        .use(async (ctx, next) => {
+          calls.push("first:before");
+          await next();
+          calls.push("first:after");
+        })
+        .use(async (ctx, next) => {
+          calls.push("second:before");
+          await next();
+          calls.push("second:after");
+        });
+
+      await start(async () => calls.push("handler"));
+      await messageCallback(msg);
+
+      expect(calls).toEqual([
+        "first:before",
+        "second:before",
+        "handler",
+        "second:after",
+        "first:after",
+      ]);
+      expect(mockChannel.ack).toHaveBeenCalledWith(msg);
+    });
+
+    it("should expose the parsed Message, raw message and channel on the context", async () => {
+      let context;
+
+      consumer.use(async (ctx, next) => {
+        context = ctx;
+        ctx.state.traceId = "abc";
+        await next();
+      });
+
+      await start();
+      await messageCallback(msg);
+
+      expect(context.message).toBeInstanceOf(Message);
+      expect(context.message.type).toBe("test.event");
+      expect(context.raw).toBe(msg);
+      expect(context.channel).toBe(mockChannel);
+      expect(context.queue).toBe(consumer.queue);
+      expect(context.state).toEqual({ traceId: "abc" });
+      expect(mockMessageHandler).toHaveBeenCalledWith(context.body, msg, handlerContext);
+    });
+
+    it("should let middleware short-circuit and settle the message itself", async () => {
+      consumer.use(async (ctx) => {
+        ctx.nack({ requeue: true });
+      });
+
+      await start();
+      await messageCallback(msg);
+
+      expect(mockMessageHandler).not.toHaveBeenCalled();
+      expect(mockChannel.nack).toHaveBeenCalledWith(msg, false, true);
+      expect(mockChannel.ack).not.toHaveBeenCalled();
+    });
+
+    it("should not settle a message twice", async () => {
+      consumer.use(async (ctx, next) => {
+        ctx.ack();
+        expect(ctx.ack()).toBe(false);
+        await next();
+      });
+
+      await start();
+      await messageCallback(msg);
+
+      expect(mockChannel.ack).toHaveBeenCalledTimes(1);
+    });
+
+    it("should let error middleware see and translate handler failures", async () => {
+      const seen = [];
+
+      consumer.use(async (ctx, next) => {
+        try {
+          await next();
+        } catch (error) {
+          seen.push(error.message);
+          throw error;
+        }
+      });
+
+      await start(jest.fn().mockRejectedValue(new Error("boom")));
+      await messageCallback(msg);
+
+      expect(seen).toEqual(["boom"]);
+      expect(mockChannel.reject).toHaveBeenCalledWith(msg, false);
+    });
+
+    it("should treat middleware failures like handler failures", async () => {
+      consumer.use(async () => {
+        throw new Error("invalid payload");
+      });
+
+      await start();
+      await messageCallback(msg);
+
+      expect(mockMessageHandler).not.toHaveBeenCalled();
+      expect(mockChannel.reject).toHaveBeenCalledWith(msg, false);
+    });
+
+    it("should reject non-function middleware", () => {
+      expect(() => consumer.use("nope")).toThrow("Middleware must be a function");
+    });
+  });
+
+  describe("Schema validation", () => {
+    let messageCallback;
+
+    const deliver = (data) => {
+      const msg = {
+        content: Buffer.from(JSON.stringify(new Message(data, "user.registered").toJSON())),
+        fields: { exchange: "message_exchange", routingKey: "message.new" },
+        properties: { messageId: "test-id", headers: { "x-trace-id": "abc" } },
+      };
+      return messageCallback(msg).then(() => msg);
+    };
+
+    beforeEach(async () => {
+      mockChannel.sendToQueue = jest.fn().mockReturnValue(true);
+      await consumer.initialize();
+      await consumer.consume(mockMessageHandler);
+      messageCallback = mockChannel.consume.mock.calls[0][1];
+    });
+
+    it("should declare the quarantine queue", () => {
+      expect(mockChannel.assertQueue).toHaveBeenCalledWith(consumer.validation.quarantineQueue, {
+        durable: true,
+      });
+    });
+
+    it("should pass valid messages to the handler", async () => {
+      await deliver({ id: "u1", email: "jane@example.com", name: "Jane" });
+
+      expect(mockMessageHandler).toHaveBeenCalled();
+      expect(mockChannel.sendToQueue).not.toHaveBeenCalled();
+    });
+
+    it("should quarantine invalid messages with the validation errors in headers", async () => {
+      const msg = await deliver({ id: "u1", name: "Jane" });
+
+      expect(mockMessageHandler).not.toHaveBeenCalled();
+      expect(mockChannel.sendToQueue).toHaveBeenCalledWith(
+        consumer.validation.quarantineQueue,
+        msg.content,
+        expect.objectContaining({
+          messageId: "test-id",
+          headers: expect.objectContaining({
+            "x-trace-id": "abc",
+            "x-validation-errors": ["/ must have required property 'email'"],
+            "x-original-exchange": "message_exchange",
+            "x-original-routing-key": "message.new",
+          }),
+        })
+      );
+      expect(mockChannel.ack).toHaveBeenCalledWith(msg);
+      expect(mockChannel.reject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Graceful drain", () => {
+    const message = (n) => ({
+      content: Buffer.from(JSON.stringify({ n })),
+      properties: {},
+    });
+
+    let releases;
+    let messageCallback;
+
+    beforeEach(async () => {
+      mockChannel.nack = jest.fn();
+      releases = [];
+
+      consumer = new Consumer({ concurrency: 1 });
+      await consumer.consume(
+        () =>
+          new Promise((resolve) => {
+            releases.push(resolve);
+          })
+      );
+      messageCallback = mockChannel.consume.mock.calls[0][1];
+    });
+
+    it("should stop deliveries and wait for in-flight handlers before closing", async () => {
+      const settled = [messageCallback(message(1)), messageCallback(message(2))];
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const closing = consumer.close({ drainTimeout: 1000 });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(mockChannel.cancel).toHaveBeenCalledWith("test-consumer-tag");
+      expect(mockChannel.close).not.toHaveBeenCalled();
+
+      // Finish the running handler, then the one waiting for its slot
+      releases.shift()();
+      await new Promise((resolve) => setImmediate(resolve));
+      releases.shift()();
+
+      await Promise.all([closing, ...settled]);
+
+      expect(mockChannel.ack).toHaveBeenCalledTimes(2);
+      expect(mockChannel.nack).not.toHaveBeenCalled();
+      expect(mockChannel.cancel.mock.invocationCallOrder[0]).toBeLessThan(
+        mockChannel.close.mock.invocationCallOrder[0]
+      );
+    });
+
+    it("should requeue unfinished messages when the drain times out", async () => {
+      const first = message(1);
+      const second = message(2);
+      messageCallback(first);
+      const waiting = messageCallback(second);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const drained = await consumer.drain(20);
+      await waiting;
+
+      expect(drained).toBe(false);
+      expect(mockChannel.nack).toHaveBeenCalledWith(first, false, true);
+      expect(mockChannel.nack).toHaveBeenCalledWith(second, false, true);
+
+      // The running handler finishing late does not ack its requeued message
+      releases.shift()();
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(mockChannel.ack).not.toHaveBeenCalled();
+      expect(releases).toHaveLength(0);
+    });
+
+    it("should return immediately when nothing is in flight", async () => {
+      await expect(consumer.drain(1000)).resolves.toBe(true);
+      expect(mockChannel.cancel).toHaveBeenCalled();
+    });
+  });
+
+  describe("Handler timeouts", () => {
+    const deliver = async (type) => {
+      const msg = {
+        content: Buffer.from(JSON.stringify(new Message({}, type).toJSON())),
+        fields: { exchange: "message_exchange", routingKey: "message.new" },
+        properties: {},
+      };
+      await mockChannel.consume.mock.calls[0][1](msg);
+      return msg;
+    };
+
+    let signals;
+    let hangingHandler;
+
+    beforeEach(() => {
+      mockChannel.sendToQueue = jest.fn().mockReturnValue(true);
+      signals = [];
+      // Never finishes on its own, like a stalled SMTP call
+      hangingHandler = jest.fn((content, msg, ctx) => {
+        signals.push(ctx.signal);
+        return new Promise(() => {});
+      });
+    });
+
+    it("should abort a hung handler and reject its message", async () => {
+      consumer = new Consumer({ handlerTimeout: 20 });
+      await consumer.consume(hangingHandler);
+
+      const msg = await deliver("report.generate");
+
+      expect(signals[0].aborted).toBe(true);
+      expect(signals[0].reason).toBeInstanceOf(HandlerTimeoutError);
+      expect(signals[0].reason.timeout).toBe(20);
+      expect(mockChannel.reject).toHaveBeenCalledWith(msg, false);
+      expect(mockChannel.ack).not.toHaveBeenCalled();
+      // The handler is still running, so it keeps its slot
+      expect(consumer.getStats()).toMatchObject({
+        handlerTimeouts: 1,
+        handlerErrors: 1,
+        inFlight: 1,
+      });
+    });
+
+    it("should not start the next message for a key until a timed out handler returns", async () => {
+      const events = [];
+      let finishStalled;
+
+      consumer = new Consumer({ handlerTimeout: 20, concurrency: 2, partitionKey: "data.userId" });
+      await consumer.consume(async (content) => {
+        events.push(`start ${content.data.seq}`);
+        if (content.data.seq === 1) {
+          await new Promise((resolve) => (finishStalled = resolve));
+        }
+        events.push(`end ${content.data.seq}`);
+      });
+      const messageCallback = mockChannel.consume.mock.calls[0][1];
+      const deliverSeq = (seq) =>
+        messageCallback({
+          content: Buffer.from(JSON.stringify(new Message({ userId: "a", seq }, "user.updated"))),
+          fields: { exchange: "message_exchange", routingKey: "user.updated" },
+          properties: {},
+        });
+
+      const first = deliverSeq(1);
+      const second = deliverSeq(2);
+
+      await first;
+      expect(mockChannel.reject).toHaveBeenCalledTimes(1);
+      expect(events).toEqual(["start 1"]);
+
+      finishStalled();
+      await second;
+      expect(events).toEqual(["start 1", "end 1", "start 2", "end 2"]);
+      expect(consumer.getStats().inFlight).toBe(0);
+    });
+
+    it("should schedule a retry for a timed out message when retries are enabled", async () => {
+      consumer = new Consumer({ handlerTimeout: 20, retry: { delays: [1000], maxAttempts: 3 } });
+      await consumer.consume(hangingHandler);
+
+      const msg = await deliver("report.generate");
+      const message = JSON.parse(msg.content.toString());
+
+      expect(mockChannel.sendToQueue).toHaveBeenCalledWith(
+        `${consumer.queue}.retry.1000`,
+        msg.content,
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            "x-last-error": `Message queue operation failed: Handler for message '${message.id}' timed out after 20ms`,
+          }),
+        })
+      );
+      expect(mockChannel.ack).toHaveBeenCalledWith(msg);
+    });
+
+    it("should apply per-type timeouts over the consumer default", async () => {
+      consumer = new Consumer({ handlerTimeout: 0, handlerTimeouts: { "report.generate": 20 } });
+
+      expect(consumer.getHandlerTimeout("report.generate")).toBe(20);
+      expect(consumer.getHandlerTimeout("user.deleted")).toBe(0);
+      expect(consumer.getHandlerTimeout(undefined)).toBe(0);
+
+      await consumer.consume(hangingHandler);
+      await deliver("report.generate");
+
+      expect(signals[0].aborted).toBe(true);
+      expect(consumer.getStats().handlerTimeouts).toBe(1);
+    });
+
+    it("should leave the signal alone when the handler finishes in time", async () => {
+      consumer = new Consumer({ handlerTimeout: 1000 });
+      await consumer.consume(async (content, msg, ctx) => {
+        signals.push(ctx.signal);
+      });
+
+      const msg = await deliver("report.generate");
+
+      expect(signals[0].aborted).toBe(false);
+      expect(mockChannel.ack).toHaveBeenCalledWith(msg);
+      expect(consumer.getStats().handlerTimeouts).toBe(0);
+    });
+  });
+});
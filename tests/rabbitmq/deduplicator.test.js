@@ -0,0 +1,205 @@
+/**
+ * Deduplicator Tests
+ *
+ * Test suite for idempotent consumption and the dedup stores.
+ */
+import { jest, describe, beforeEach, afterEach, it, expect } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Consumer } from "../../src/rabbitmq/index.js";
+import { MemoryDedupStore, FileDedupStore } from "../../src/rabbitmq/dedup_store.js";
+import { Message } from "../../src/models/index.js";
+import rabbitMQConnection from "../../src/rabbitmq/connection.js";
+
+describe("Deduplication", () => {
+  describe("MemoryDedupStore", () => {
+    it("should remember keys until their TTL expires", async () => {
+      const store = new MemoryDedupStore();
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+
+      await store.add("a", 500);
+      expect(await store.has("a")).toBe(true);
+      expect(await store.has("b")).toBe(false);
+
+      now.mockReturnValue(1500);
+      expect(await store.has("a")).toBe(false);
+      expect(store.size).toBe(0);
+
+      now.mockRestore();
+    });
+
+    it("should evict the least recently used key once full", async () => {
+      const store = new MemoryDedupStore({ maxSize: 2 });
+
+      await store.add("a", 60000);
+      await store.add("b", 60000);
+      await store.has("a"); // "b" is now the least recently used
+      await store.add("c", 60000);
+
+      expect(await store.has("a")).toBe(true);
+      expect(await store.has("b")).toBe(false);
+      expect(await store.has("c")).toBe(true);
+    });
+  });
+
+  describe("FileDedupStore", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "dedup-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should persist keys across instances and drop expired ones", async () => {
+      const file = path.join(dir, "nested", "processed.json");
+      const store = new FileDedupStore({ file });
+
+      await Promise.all([store.add("a", 60000), store.add("b", 60000), store.add("old", -1)]);
+      await store.close();
+
+      const reopened = new FileDedupStore({ file });
+      expect(await reopened.has("a")).toBe(true);
+      expect(await reopened.has("b")).toBe(true);
+      expect(await reopened.has("old")).toBe(false);
+      expect(reopened.size).toBe(2);
+    });
+
+    it("should start empty when the file does not exist", async () => {
+      const store = new FileDedupStore({ file: path.join(dir, "missing.json") });
+
+      expect(await store.has("a")).toBe(false);
+    });
+
+    it("should refuse to start empty over an unreadable file", async () => {
+      const file = path.join(dir, "processed.json");
+      fs.writeFileSync(file, "[not json");
+      const store = new FileDedupStore({ file });
+
+      await expect(store.has("a")).rejects.toThrow();
+
+      // The next use loads again
+      fs.writeFileSync(file, JSON.stringify([["a", Date.now() + 60000]]));
+      expect(await store.has("a")).toBe(true);
+    });
+  });
+
+  describe("Consumer with dedup", () => {
+    let mockChannel;
+    let consumer;
+    let handler;
+    let messageCallback;
+
+    const delivery = (message) => ({
+      content: Buffer.from(JSON.stringify(message.toJSON())),
+      properties: {},
+    });
+
+    beforeEach(async () => {
+      mockChannel = {
+        prefetch: jest.fn().mockResolvedValue({}),
+        consume: jest.fn().mockResolvedValue({ consumerTag: "ctag" }),
+        ack: jest.fn(),
+        reject: jest.fn(),
+        cancel: jest.fn().mockResolvedValue({}),
+        close: jest.fn().mockResolvedValue(),
+      };
+      jest.spyOn(rabbitMQConnection, "openChannel").mockResolvedValue(mockChannel);
+
+      handler = jest.fn().mockResolvedValue();
+      consumer = new Consumer({ dedup: { store: "memory", ttl: 60000 }, concurrency: 5 });
+      await consumer.consume(handler);
+      messageCallback = mockChannel.consume.mock.calls[0][1];
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should handle a redelivered message only once and still ack it", async () => {
+      const message = new Message({ email: "a@example.com" }, "account.created");
+      const first = delivery(message);
+      const redelivered = delivery(message);
+
+      await messageCallback(first);
+      await messageCallback(redelivered);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(mockChannel.ack).toHaveBeenCalledWith(first);
+      expect(mockChannel.ack).toHaveBeenCalledWith(redelivered);
+      expect(consumer.getStats().dedup).toEqual({ processed: 1, duplicates: 1, unkeyed: 0 });
+    });
+
+    it("should only record a message after its handler succeeded", async () => {
+      const message = new Message({}, "account.created");
+      handler.mockRejectedValueOnce(new Error("SMTP down"));
+
+      await messageCallback(delivery(message));
+      await messageCallback(delivery(message));
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(mockChannel.reject).toHaveBeenCalledTimes(1);
+      expect(mockChannel.ack).toHaveBeenCalledTimes(1);
+    });
+
+    it("should make a concurrent duplicate wait for the first delivery", async () => {
+      let release;
+      handler.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            release = resolve;
+          })
+      );
+
+      const message = new Message({}, "account.created");
+      const first = messageCallback(delivery(message));
+      const second = messageCallback(delivery(message));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      release();
+      await Promise.all([first, second]);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(mockChannel.ack).toHaveBeenCalledTimes(2);
+    });
+
+    it("should keep the messages of each service queue apart", async () => {
+      const store = new MemoryDedupStore();
+      const message = new Message({}, "account.created");
+
+      for (const service of ["notifications", "billing"]) {
+        consumer = new Consumer({ service, dedup: { store, ttl: 60000 } });
+        mockChannel.consume.mockClear();
+        await consumer.consume(handler);
+        await mockChannel.consume.mock.calls[0][1](delivery(message));
+      }
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(await store.has(`${consumer.queue}:${message.id}`)).toBe(true);
+    });
+
+    it("should use a custom key extractor", async () => {
+      consumer = new Consumer({
+        dedup: { store: new MemoryDedupStore(), ttl: 60000, keyOf: (ctx) => ctx.body.data.email },
+      });
+      await consumer.consume(handler);
+      messageCallback = mockChannel.consume.mock.calls[1][1];
+
+      await messageCallback(delivery(new Message({ email: "a@example.com" }, "account.created")));
+      await messageCallback(delivery(new Message({ email: "a@example.com" }, "account.created")));
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it("should process messages without a key", async () => {
+      await messageCallback({ content: Buffer.from("plain text"), properties: {} });
+      await messageCallback({ content: Buffer.from("plain text"), properties: {} });
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(consumer.getStats().dedup.unkeyed).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Delayed Delivery Tests
+ *
+ * Test suite for publishDelayed() and publishAt(), through the per-delay TTL
+ * queues and through the in-process scheduler.
+ */
+import { jest, describe, beforeEach, afterEach, it, expect } from "@jest/globals";
+import { Publisher } from "../../src/rabbitmq/index.js";
+import rabbitMQConnection from "../../src/rabbitmq/connection.js";
+import { DELAY_HEADER, MAX_DELAY } from "../../src/rabbitmq/delay.js";
+import { rabbitmqConfig } from "../../src/config/index.js";
+import { Message } from "../../src/models/index.js";
+import { ValidationError } from "../../src/utils/errors.js";
+
+describe("Delayed delivery", () => {
+  const exchange = rabbitmqConfig.exchange.name;
+  let mockChannel;
+  let publisher;
+
+  beforeEach(() => {
+    mockChannel = {
+      assertExchange: jest.fn().mockResolvedValue({}),
+      assertQueue: jest.fn().mockResolvedValue({}),
+      bindQueue: jest.fn().mockResolvedValue({}),
+      publish: jest.fn().mockReturnValue(true),
+      close: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(rabbitMQConnection, "openChannel").mockResolvedValue(mockChannel);
+  });
+
+  afterEach(async () => {
+    await publisher.close();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe("with delay queues", () => {
+    beforeEach(() => {
+      publisher = new Publisher({
+        delay: { mode: "broker", exchange: "orders.delayed", granularity: 1000 },
+      });
+    });
+
+    it("should publish to the delay exchange through a TTL queue dead-lettering into the exchange", async () => {
+      await expect(publisher.publishDelayed(new Message({}, "order.reminder"), 5000)).resolves.toBe(
+        true
+      );
+
+      expect(mockChannel.assertExchange).toHaveBeenCalledWith("orders.delayed", "headers", {
+        durable: true,
+      });
+      expect(mockChannel.assertQueue).toHaveBeenCalledWith("orders.delayed.5000", {
+        durable: true,
+        arguments: {
+          "x-message-ttl": 5000,
+          "x-dead-letter-exchange": exchange,
+          "x-expires": 65000,
+        },
+      });
+      expect(mockChannel.bindQueue).toHaveBeenCalledWith(
+        "orders.delayed.5000",
+        "orders.delayed",
+        "",
+        {
+          "x-match": "all",
+          [DELAY_HEADER]: "5000",
+        }
+      );
+
+      const [delayExchange, routingKey, , options] = mockChannel.publish.mock.calls[0];
+      expect(delayExchange).toBe("orders.delayed");
+      expect(routingKey).toBe("order.reminder");
+      expect(options.headers).toMatchObject({ [DELAY_HEADER]: "5000" });
+    });
+
+    it("should round delays up to the granularity and record them in the metadata", async () => {
+      jest.spyOn(Date, "now").mockReturnValue(Date.parse("2026-01-01T00:00:00.000Z"));
+      const message = new Message({}, "order.reminder");
+
+      await publisher.publishDelayed(message, 1200);
+
+      expect(mockChannel.assertQueue.mock.calls[0][0]).toBe("orders.delayed.2000");
+      expect(message.metadata).toMatchObject({
+        delay: 2000,
+        deliverAt: "2026-01-01T00:00:02.000Z",
+      });
+    });
+
+    it("should leave the metadata alone when the publish fails", async () => {
+      mockChannel.assertQueue.mockRejectedValueOnce(new Error("Channel closed"));
+      const message = new Message({}, "order.reminder");
+      const metadata = message.metadata;
+
+      await expect(publisher.publishDelayed(message, 1000)).rejects.toThrow("Channel closed");
+
+      expect(message.metadata).toBe(metadata);
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+    });
+
+    it("should keep the queue expiry within the broker limit for the longest delay", async () => {
+      await publisher.publishDelayed(new Message({}, "order.reminder"), MAX_DELAY);
+
+      const [, { arguments: args }] = mockChannel.assertQueue.mock.calls[0];
+      expect(args["x-message-ttl"]).toBe(MAX_DELAY);
+      expect(args["x-expires"]).toBeLessThanOrEqual(2 ** 32 - 1);
+    });
+
+    it("should publish right away for a time in the past", async () => {
+      await publisher.publishAt(new Message({}, "order.reminder"), new Date(Date.now() - 1000));
+
+      expect(mockChannel.assertQueue).not.toHaveBeenCalled();
+      expect(mockChannel.publish.mock.calls[0][0]).toBe(exchange);
+    });
+
+    it("should reject delays out of range and invalid dates", async () => {
+      const message = new Message({}, "order.reminder");
+
+      await expect(publisher.publishDelayed(message, -1)).rejects.toThrow(ValidationError);
+      await expect(publisher.publishDelayed(message, MAX_DELAY + 1)).rejects.toThrow(
+        ValidationError
+      );
+      await expect(publisher.publishAt(message, "not a date")).rejects.toThrow(ValidationError);
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("with the in-process scheduler", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      publisher = new Publisher({ delay: { mode: "memory" } });
+    });
+
+    it("should publish to the exchange once the delay has passed", async () => {
+      await publisher.publishDelayed(new Message({}, "order.reminder"), 1200);
+
+      expect(publisher.scheduler.size).toBe(1);
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1200);
+
+      expect(mockChannel.publish).toHaveBeenCalledTimes(1);
+      expect(mockChannel.publish.mock.calls[0].slice(0, 2)).toEqual([exchange, "order.reminder"]);
+      expect(mockChannel.assertQueue).not.toHaveBeenCalled();
+    });
+
+    it("should wait out delays longer than a single timer allows", async () => {
+      const maxTimer = 2 ** 31 - 1;
+      await publisher.publishDelayed(new Message({}, "order.reminder"), maxTimer + 1000);
+
+      await jest.advanceTimersByTimeAsync(maxTimer);
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+      expect(publisher.scheduler.size).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(mockChannel.publish).toHaveBeenCalledTimes(1);
+    });
+
+    it("should drop publishes not yet due on close", async () => {
+      await publisher.publishDelayed(new Message({}, "order.reminder"), 1000);
+
+      await publisher.close();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  it("should reject unknown delay modes", () => {
+    publisher = new Publisher();
+
+    expect(() => new Publisher({ delay: { mode: "cron" } })).toThrow("Unknown delay mode: cron");
+  });
+});
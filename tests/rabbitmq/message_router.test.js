@@ -0,0 +1,133 @@
+/**
+ * Message Router Tests
+ *
+ * Test suite for type-based handler registration and topic-style
+ * wildcard matching.
+ */
+import { jest, describe, beforeEach, it, expect } from "@jest/globals";
+import { MessageRouter } from "../../src/rabbitmq/index.js";
+import { matchesPattern } from "../../src/rabbitmq/message_router.js";
+import { Message } from "../../src/models/index.js";
+import { UnhandledMessageError } from "../../src/utils/errors.js";
+
+describe("MessageRouter", () => {
+  describe("matchesPattern()", () => {
+    it.each([
+      ["user.registered", "user.registered", true],
+      ["user.registered", "user.deleted", false],
+      ["user.*", "user.registered", true],
+      ["user.*", "user", false],
+      ["user.*", "user.profile.updated", false],
+      ["*.registered", "user.registered", true],
+      ["order.#", "order", true],
+      ["order.#", "order.created", true],
+      ["order.#", "order.item.added", true],
+      ["order.#", "orders.created", false],
+      ["#", "anything.at.all", true],
+      ["#.added", "order.item.added", true],
+      ["order.#.added", "order.added", true],
+      ["order.#.added", "order.item.removed", false],
+    ])("should match pattern '%s' against '%s' as %s", (pattern, type, expected) => {
+      expect(matchesPattern(pattern, type)).toBe(expected);
+    });
+  });
+
+  describe("route()", () => {
+    let router;
+
+    beforeEach(() => {
+      router = new MessageRouter({ unhandled: "ack" });
+    });
+
+    it("should pass a Message and the original message to the matching handler", async () => {
+      const handler = jest.fn().mockResolvedValue();
+      const message = new Message({ id: 1 }, "user.registered");
+      const original = { properties: {} };
+
+      router.on("user.registered", handler);
+      await router.route(message.toJSON(), original);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      const [received, receivedOriginal] = handler.mock.calls[0];
+      expect(received).toBeInstanceOf(Message);
+      expect(received.id).toBe(message.id);
+      expect(received.data).toEqual({ id: 1 });
+      expect(receivedOriginal).toBe(original);
+    });
+
+    it("should run every matching handler in registration order", async () => {
+      const calls = [];
+
+      router
+        .on("user.*", async () => calls.push("wildcard"))
+        .on("user.registered", async () => calls.push("exact"))
+        .on("order.#", async () => calls.push("order"));
+
+      await router.route(new Message({}, "user.registered"));
+
+      expect(calls).toEqual(["wildcard", "exact"]);
+    });
+
+    it("should fail the message when any handler fails", async () => {
+      const second = jest.fn();
+
+      router.on("user.*", jest.fn().mockRejectedValue(new Error("SMTP down"))).on("user.*", second);
+
+      await expect(router.route(new Message({}, "user.registered"))).rejects.toThrow("SMTP down");
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    it("should skip remaining handlers once the consumer aborted the delivery", async () => {
+      const controller = new AbortController();
+      const second = jest.fn();
+      const ctx = { signal: controller.signal };
+
+      router
+        .on("user.*", async (message, original, receivedCtx) => {
+          expect(receivedCtx).toBe(ctx);
+          controller.abort(new Error("Handler timed out"));
+        })
+        .on("user.*", second);
+
+      await expect(router.route(new Message({}, "user.registered"), {}, ctx)).rejects.toThrow(
+        "Handler timed out"
+      );
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    it("should use the fallback handler when nothing matches", async () => {
+      const fallback = jest.fn();
+      const handler = jest.fn();
+
+      router.on("user.*", handler).fallback(fallback);
+      await router.route(new Message({}, "invoice.paid"));
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(fallback).toHaveBeenCalledWith(expect.any(Message), undefined, undefined);
+    });
+
+    it("should resolve for unhandled types with the ack policy", async () => {
+      await expect(router.route(new Message({}, "invoice.paid"))).resolves.toBeUndefined();
+    });
+
+    it.each(["reject", "dead-letter"])(
+      "should throw UnhandledMessageError with the %s policy",
+      async (policy) => {
+        router = new MessageRouter({ unhandled: policy });
+
+        const error = await router.route(new Message({}, "invoice.paid")).catch((err) => err);
+
+        expect(error).toBeInstanceOf(UnhandledMessageError);
+        expect(error.action).toBe(policy);
+        expect(error.messageType).toBe("invoice.paid");
+      }
+    );
+
+    it("should reject unknown unhandled policies and non-function handlers", () => {
+      expect(() => new MessageRouter({ unhandled: "ignore" })).toThrow(
+        "Unknown unhandled message policy: ignore"
+      );
+      expect(() => router.on("user.*", null)).toThrow("Handler for 'user.*' must be a function");
+    });
+  });
+});
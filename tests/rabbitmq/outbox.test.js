@@ -0,0 +1,314 @@
+/**
+ * Outbox Tests
+ *
+ * Test suite for the outbox stores and the relay publishing stored events,
+ * using a fake publisher instead of a broker.
+ */
+import { jest, describe, beforeEach, afterEach, it, expect } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import OutboxRelay from "../../src/rabbitmq/outbox_relay.js";
+import {
+  MemoryOutboxStore,
+  FileOutboxStore,
+  OUTBOX_COLLECTION,
+} from "../../src/rabbitmq/outbox_store.js";
+import { Message } from "../../src/models/index.js";
+import { SchemaValidationError, UnroutableMessageError } from "../../src/utils/errors.js";
+
+describe("Outbox", () => {
+  describe("MemoryOutboxStore", () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryOutboxStore();
+    });
+
+    it("should apply the writes of a transaction together", async () => {
+      const message = new Message({ id: "u1" }, "account.created");
+
+      await store.transaction((tx) => {
+        tx.put("accounts", "u1", { id: "u1" });
+        tx.enqueue(message);
+      });
+
+      expect(await store.get("accounts", "u1")).toEqual({ id: "u1" });
+      expect(await store.get(OUTBOX_COLLECTION, message.id)).toMatchObject({
+        id: message.id,
+        message: message.toJSON(),
+        status: "pending",
+        attempts: 0,
+      });
+    });
+
+    it("should apply nothing when the transaction fails", async () => {
+      const failing = store.transaction((tx) => {
+        tx.put("accounts", "u1", { id: "u1" });
+        tx.enqueue(new Message({}, "account.created"));
+        throw new Error("constraint violated");
+      });
+
+      await expect(failing).rejects.toThrow("constraint violated");
+      expect(await store.values("accounts")).toEqual([]);
+      expect(await store.values(OUTBOX_COLLECTION)).toEqual([]);
+    });
+
+    it("should only return pending entries up to the first one waiting for a retry", async () => {
+      const [sent, due, waiting, after] = [1, 2, 3, 4].map(
+        (n) => new Message({ n }, "account.created")
+      );
+
+      await store.transaction((tx) => [sent, due, waiting, after].forEach((m) => tx.enqueue(m)));
+      await store.updateEntry(sent.id, { status: "sent" });
+      await store.updateEntry(waiting.id, { nextAttemptAt: Date.now() + 60000 });
+
+      const pending = await store.getPending(10);
+      expect(pending.map((entry) => entry.id)).toEqual([due.id]);
+    });
+  });
+
+  describe("FileOutboxStore", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should keep records and pending events across restarts", async () => {
+      const file = path.join(dir, "outbox.json");
+      const store = new FileOutboxStore({ file });
+      const message = new Message({}, "account.created");
+
+      await store.transaction((tx) => {
+        tx.put("accounts", "u1", { id: "u1" });
+        tx.enqueue(message);
+      });
+      await store.close();
+
+      const reopened = new FileOutboxStore({ file });
+      expect(await reopened.get("accounts", "u1")).toEqual({ id: "u1" });
+      expect((await reopened.getPending(10)).map((entry) => entry.id)).toEqual([message.id]);
+      expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+    });
+
+    it("should delete entries from the file", async () => {
+      const file = path.join(dir, "outbox.json");
+      const store = new FileOutboxStore({ file });
+      const message = new Message({}, "account.created");
+
+      await store.transaction((tx) => tx.enqueue(message));
+      await store.deleteEntry(message.id);
+
+      expect(JSON.parse(fs.readFileSync(file, "utf8"))[OUTBOX_COLLECTION]).toEqual({});
+    });
+
+    it("should refuse to start empty over an unreadable file", async () => {
+      const file = path.join(dir, "outbox.json");
+      fs.writeFileSync(file, "{not json");
+
+      await expect(new FileOutboxStore({ file }).values("accounts")).rejects.toThrow();
+    });
+  });
+
+  describe("OutboxRelay", () => {
+    let store;
+    let publisher;
+    let relay;
+
+    const enqueue = async (...messages) => {
+      await store.transaction((tx) => messages.forEach((message) => tx.enqueue(message)));
+    };
+
+    beforeEach(() => {
+      store = new MemoryOutboxStore();
+      publisher = { publish: jest.fn().mockResolvedValue(true) };
+      relay = new OutboxRelay({
+        store,
+        publisher,
+        interval: 10,
+        retryDelay: 100,
+        maxRetryDelay: 250,
+        maxAttempts: 3,
+        sentRetention: 60000,
+      });
+    });
+
+    afterEach(async () => {
+      await relay.stop();
+    });
+
+    it("should publish pending events oldest first and mark them sent", async () => {
+      const first = new Message({ n: 1 }, "account.created");
+      const second = new Message({ n: 2 }, "account.updated");
+      await enqueue(first, second);
+
+      await relay.notify();
+
+      expect(publisher.publish).toHaveBeenCalledTimes(2);
+      const [published] = publisher.publish.mock.calls[0];
+      expect(published).toBeInstanceOf(Message);
+      expect(published.id).toBe(first.id);
+      expect(publisher.publish.mock.calls[1][0].id).toBe(second.id);
+      expect(await relay.getStats()).toMatchObject({ published: 2, pending: 0, sent: 2 });
+    });
+
+    it("should retry a failed publish with backoff without letting later events overtake it", async () => {
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+      const first = new Message({}, "account.created");
+      const second = new Message({}, "account.updated");
+      await enqueue(first, second);
+      publisher.publish.mockRejectedValueOnce(new Error("Broker unreachable"));
+
+      await relay.notify();
+
+      expect(publisher.publish).toHaveBeenCalledTimes(1);
+      expect(await store.get(OUTBOX_COLLECTION, first.id)).toMatchObject({
+        status: "pending",
+        attempts: 1,
+        nextAttemptAt: 1100,
+        lastError: "Broker unreachable",
+      });
+
+      // Not due yet: nothing is published, not even the second event
+      await relay.notify();
+      expect(publisher.publish).toHaveBeenCalledTimes(1);
+
+      now.mockReturnValue(1100);
+      await relay.notify();
+
+      expect(publisher.publish.mock.calls.map(([message]) => message.id)).toEqual([
+        first.id,
+        first.id,
+        second.id,
+      ]);
+      expect(await relay.getStats()).toMatchObject({ published: 2, failures: 1, sent: 2 });
+      now.mockRestore();
+    });
+
+    it("should cap the retry delay", () => {
+      expect([1, 2, 3, 4].map((attempts) => relay.getRetryDelay(attempts))).toEqual([
+        100, 200, 250, 250,
+      ]);
+    });
+
+    it("should abandon events that can never be published and carry on", async () => {
+      const invalid = new Message({}, "account.created");
+      const valid = new Message({}, "account.created");
+      await enqueue(invalid, valid);
+      publisher.publish.mockRejectedValueOnce(
+        new SchemaValidationError("account.created", ["/email is required"])
+      );
+
+      await relay.notify();
+
+      expect(await store.get(OUTBOX_COLLECTION, invalid.id)).toMatchObject({ status: "failed" });
+      expect(await store.get(OUTBOX_COLLECTION, valid.id)).toMatchObject({ status: "sent" });
+      expect(await relay.getStats()).toMatchObject({ abandoned: 1, failed: 1, sent: 1 });
+    });
+
+    it("should mark an unroutable event failed once out of attempts and carry on", async () => {
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+      const unroutable = new Message({}, "account.created");
+      const next = new Message({}, "account.updated");
+      await enqueue(unroutable, next);
+      publisher.publish.mockImplementation(async (message) => {
+        if (message.id === unroutable.id) {
+          throw new UnroutableMessageError("message_exchange", "account.created", "NO_ROUTE");
+        }
+        return true;
+      });
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        now.mockReturnValue(now() + 1000);
+        await relay.notify();
+      }
+
+      expect(publisher.publish.mock.calls.map(([message]) => message.id)).toEqual([
+        unroutable.id,
+        unroutable.id,
+        unroutable.id,
+        next.id,
+      ]);
+      expect(await store.get(OUTBOX_COLLECTION, unroutable.id)).toMatchObject({
+        status: "failed",
+        attempts: 3,
+      });
+      expect(await relay.getStats()).toMatchObject({ failures: 2, abandoned: 1, sent: 1 });
+      now.mockRestore();
+    });
+
+    it("should keep retrying other publish errors past the attempt limit", async () => {
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+      const message = new Message({}, "account.created");
+      await enqueue(message);
+      publisher.publish.mockRejectedValue(new Error("Broker unreachable"));
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        now.mockReturnValue(now() + 1000);
+        await relay.notify();
+      }
+
+      expect(await store.get(OUTBOX_COLLECTION, message.id)).toMatchObject({
+        status: "pending",
+        attempts: 5,
+      });
+      now.mockRestore();
+    });
+
+    it("should delete events once sent without a retention", async () => {
+      relay.sentRetention = 0;
+      const message = new Message({}, "account.created");
+      await enqueue(message);
+
+      await relay.notify();
+
+      expect(await store.get(OUTBOX_COLLECTION, message.id)).toBeNull();
+      expect(await relay.getStats()).toMatchObject({ published: 1, pending: 0, sent: 0 });
+    });
+
+    it("should delete sent events once their retention has passed", async () => {
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+      relay.sentRetention = 500;
+      const old = new Message({}, "account.created");
+      await enqueue(old);
+      await relay.notify();
+
+      now.mockReturnValue(1501);
+      await enqueue(new Message({}, "account.created"));
+      await relay.notify();
+
+      expect(await store.get(OUTBOX_COLLECTION, old.id)).toBeNull();
+      expect(await relay.getStats()).toMatchObject({ sent: 1 });
+      now.mockRestore();
+    });
+
+    it("should stop without waiting for a publish that never settles", async () => {
+      relay.stopTimeout = 50;
+      const stuck = new Message({}, "account.created");
+      const next = new Message({}, "account.updated");
+      await enqueue(stuck, next);
+      publisher.publish.mockReturnValue(new Promise(() => {}));
+
+      relay.notify();
+      await new Promise((resolve) => setImmediate(resolve));
+      await relay.stop();
+
+      expect(publisher.publish).toHaveBeenCalledTimes(1);
+      expect(await relay.getStats()).toMatchObject({ published: 0, pending: 2 });
+    });
+
+    it("should pick up stored events by polling once started", async () => {
+      relay.start();
+      await enqueue(new Message({}, "account.created"));
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(publisher.publish).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Partitioning Tests
+ *
+ * Test suite for ordered processing per partition key, shard queues and
+ * partition key stamping on publish.
+ */
+import { jest, describe, beforeEach, afterEach, it, expect } from "@jest/globals";
+import { Consumer, Publisher } from "../../src/rabbitmq/index.js";
+import ConcurrencyLimiter from "../../src/rabbitmq/concurrency_limiter.js";
+import {
+  PARTITION_HEADER,
+  createPartitionKey,
+  getShardQueueName,
+} from "../../src/rabbitmq/partitioning.js";
+import { Message } from "../../src/models/index.js";
+import rabbitMQConnection from "../../src/rabbitmq/connection.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Partitioning", () => {
+  let mockChannel;
+
+  beforeEach(() => {
+    mockChannel = {
+      assertExchange: jest.fn().mockResolvedValue({}),
+      assertQueue: jest.fn().mockResolvedValue({}),
+      bindQueue: jest.fn().mockResolvedValue({}),
+      bindExchange: jest.fn().mockResolvedValue({}),
+      prefetch: jest.fn().mockResolvedValue({}),
+      consume: jest.fn().mockResolvedValue({ consumerTag: "ctag" }),
+      publish: jest.fn().mockReturnValue(true),
+      ack: jest.fn(),
+      reject: jest.fn(),
+      cancel: jest.fn().mockResolvedValue({}),
+      close: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(rabbitMQConnection, "openChannel").mockResolvedValue(mockChannel);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("createPartitionKey()", () => {
+    it("should read a dot path from the Message", () => {
+      const keyOf = createPartitionKey("data.id");
+
+      expect(keyOf(new Message({ id: 42 }, "user.updated"))).toBe("42");
+      expect(keyOf(new Message({}, "user.updated"))).toBeNull();
+      expect(keyOf(null)).toBeNull();
+    });
+
+    it("should accept an extractor function and be disabled without a key", () => {
+      const keyOf = createPartitionKey((message) => message.data.email);
+
+      expect(keyOf(new Message({ email: "a@example.com" }, "user.updated"))).toBe("a@example.com");
+      expect(createPartitionKey(null)).toBeNull();
+    });
+  });
+
+  describe("ConcurrencyLimiter with keys", () => {
+    it("should let tasks with free keys pass a task waiting for a busy key", async () => {
+      const limiter = new ConcurrencyLimiter(2);
+      const started = [];
+      let releaseFirst;
+
+      limiter.run(
+        () =>
+          new Promise((resolve) => {
+            started.push("a1");
+            releaseFirst = resolve;
+          }),
+        "a"
+      );
+      const second = limiter.run(async () => started.push("a2"), "a");
+      const third = limiter.run(async () => started.push("b1"), "b");
+
+      await third;
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(started).toEqual(["a1", "b1"]);
+      expect(limiter.getStats()).toMatchObject({ waiting: 1, activePartitions: 1 });
+
+      releaseFirst();
+      await second;
+      expect(started).toEqual(["a1", "b1", "a2"]);
+    });
+
+    it("should keep the slot and key of a finished task until its held work settles", async () => {
+      const limiter = new ConcurrencyLimiter(2);
+      const started = [];
+      let finishHeld;
+
+      await limiter.run(async (hold) => {
+        started.push("a1");
+        hold(new Promise((resolve) => (finishHeld = resolve)));
+      }, "a");
+      const second = limiter.run(async () => started.push("a2"), "a");
+
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(started).toEqual(["a1"]);
+      expect(limiter.getStats()).toMatchObject({ inFlight: 1, waiting: 1, activePartitions: 1 });
+
+      finishHeld();
+      await second;
+      expect(started).toEqual(["a1", "a2"]);
+    });
+  });
+
+  describe("Consumer with a partition key", () => {
+    it("should handle messages per key in order while different keys run in parallel", async () => {
+      const consumer = new Consumer({ concurrency: 4, partitionKey: "data.userId" });
+      const events = [];
+      let running = 0;
+      let maxRunning = 0;
+
+      // Earlier messages take longer, so unordered processing would finish them last
+      await consumer.consume(async (content) => {
+        const { userId, seq } = content.data;
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        events.push(`start ${userId}${seq}`);
+
+        await sleep(20 - seq * 5);
+
+        events.push(`end ${userId}${seq}`);
+        running--;
+      });
+      const messageCallback = mockChannel.consume.mock.calls[0][1];
+
+      const deliveries = [];
+      for (let seq = 0; seq < 3; seq++) {
+        for (const userId of ["a", "b", "c"]) {
+          const message = new Message({ userId, seq }, "user.updated");
+          deliveries.push(
+            messageCallback({
+              content: Buffer.from(JSON.stringify(message.toJSON())),
+              properties: {},
+            })
+          );
+        }
+      }
+      await Promise.all(deliveries);
+
+      for (const userId of ["a", "b", "c"]) {
+        const ofUser = events.filter((event) => event.split(" ")[1].startsWith(userId));
+        expect(ofUser).toEqual([
+          `start ${userId}0`,
+          `end ${userId}0`,
+          `start ${userId}1`,
+          `end ${userId}1`,
+          `start ${userId}2`,
+          `end ${userId}2`,
+        ]);
+      }
+      expect(maxRunning).toBe(3);
+      expect(mockChannel.ack).toHaveBeenCalledTimes(9);
+    });
+
+    it("should process messages without a key concurrently", async () => {
+      const consumer = new Consumer({ concurrency: 3, partitionKey: "data.userId" });
+      let running = 0;
+      let maxRunning = 0;
+
+      await consumer.consume(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(5);
+        running--;
+      });
+      const messageCallback = mockChannel.consume.mock.calls[0][1];
+
+      await Promise.all(
+        [1, 2, 3].map(() =>
+          messageCallback({
+            content: Buffer.from(JSON.stringify(new Message({}, "user.updated").toJSON())),
+            properties: {},
+          })
+        )
+      );
+
+      expect(maxRunning).toBe(3);
+    });
+  });
+
+  describe("Sharding", () => {
+    it("should spread the queue over shard queues behind a consistent-hash exchange", async () => {
+      jest.spyOn(rabbitMQConnection, "recordExchangeBinding");
+      const consumer = new Consumer({ bindings: ["user.*"], shard: 1, shards: 3 });
+      const base = consumer.shards.queue;
+
+      await consumer.initialize();
+      await consumer.consume(jest.fn());
+
+      expect(consumer.queue).toBe(getShardQueueName(base, 1));
+      expect(mockChannel.assertExchange).toHaveBeenCalledWith(
+        `${base}.shards`,
+        "x-consistent-hash",
+        {
+          durable: true,
+          arguments: { "hash-header": PARTITION_HEADER },
+        }
+      );
+      expect(mockChannel.bindExchange).toHaveBeenCalledWith(
+        `${base}.shards`,
+        consumer.exchange,
+        "user.*"
+      );
+      expect(rabbitMQConnection.recordExchangeBinding).toHaveBeenCalledWith(
+        `${base}.shards`,
+        consumer.exchange,
+        "user.*"
+      );
+      [0, 1, 2].forEach((index) => {
+        expect(mockChannel.assertQueue).toHaveBeenCalledWith(
+          `${base}.shard.${index}`,
+          consumer.queueOptions
+        );
+        expect(mockChannel.bindQueue).toHaveBeenCalledWith(
+          `${base}.shard.${index}`,
+          `${base}.shards`,
+          "1"
+        );
+      });
+      expect(mockChannel.assertQueue).not.toHaveBeenCalledWith(base, expect.anything());
+      expect(mockChannel.consume).toHaveBeenCalledWith(
+        `${base}.shard.1`,
+        expect.any(Function),
+        expect.any(Object)
+      );
+    });
+
+    it("should reject shard indexes out of range", () => {
+      expect(() => new Consumer({ shard: 3, shards: 3 })).toThrow(
+        "Shard must be an integer from 0 to 2 (RABBITMQ_PARTITION_SHARDS=3), got: 3"
+      );
+    });
+  });
+
+  describe("Publisher", () => {
+    it("should stamp the partition key header, falling back to the message id", async () => {
+      const publisher = new Publisher({ partitionKey: "data.userId" });
+      const withKey = new Message({ userId: "a" }, "user.updated");
+      const withoutKey = new Message({}, "user.updated");
+
+      await publisher.publish(withKey);
+      await publisher.publish(withoutKey, undefined, { headers: { trace: "1" } });
+
+      expect(mockChannel.publish.mock.calls[0][3].headers).toEqual({ [PARTITION_HEADER]: "a" });
+      expect(mockChannel.publish.mock.calls[1][3].headers).toEqual({
+        trace: "1",
+        [PARTITION_HEADER]: withoutKey.id,
+      });
+    });
+  });
+});
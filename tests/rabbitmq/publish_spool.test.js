@@ -0,0 +1,215 @@
+/**
+ * Publish Spool Tests
+ *
+ * Test suite for the file spool holding publishes while the broker is
+ * unreachable, and for store-and-forward publishing through it.
+ */
+import { jest, describe, beforeEach, afterEach, it, expect } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import PublishSpool from "../../src/rabbitmq/publish_spool.js";
+import { Publisher } from "../../src/rabbitmq/index.js";
+import rabbitMQConnection, { CONNECTION_STATES } from "../../src/rabbitmq/connection.js";
+import { Message } from "../../src/models/index.js";
+import { SpoolFullError } from "../../src/utils/errors.js";
+
+describe("Publish spool", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "spool-"));
+    file = path.join(dir, "spool.jsonl");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("PublishSpool", () => {
+    const createSpool = (options = {}) =>
+      new PublishSpool({ file, maxSize: 1024, fsync: "always", ...options });
+
+    it("should send spooled records in order and empty the file", async () => {
+      const spool = createSpool();
+      await spool.append({ message: { n: 1 }, routingKey: "a" });
+      await spool.append({ message: { n: 2 }, routingKey: "b" });
+      const send = jest.fn().mockResolvedValue(true);
+
+      expect(await spool.flush(send)).toBe(2);
+
+      expect(send.mock.calls.map(([record]) => record.message.n)).toEqual([1, 2]);
+      expect(spool.getStats()).toMatchObject({ depth: 0, bytes: 0, spooled: 2, flushed: 2 });
+      expect(fs.readFileSync(file, "utf8")).toBe("");
+      await spool.close();
+    });
+
+    it("should keep the failed record and all later ones", async () => {
+      const spool = createSpool();
+      for (const n of [1, 2, 3]) {
+        await spool.append({ message: { n } });
+      }
+      const send = jest
+        .fn()
+        .mockResolvedValueOnce(true)
+        .mockRejectedValueOnce(new Error("Channel closed"));
+
+      await expect(spool.flush(send)).rejects.toThrow("Channel closed");
+      expect(spool.size).toBe(2);
+
+      send.mockResolvedValue(true);
+      await spool.flush(send);
+
+      expect(send.mock.calls.map(([record]) => record.message.n)).toEqual([1, 2, 2, 3]);
+      await spool.close();
+    });
+
+    it("should keep records across restarts and drop one cut short by a crash", async () => {
+      const spool = createSpool();
+      await spool.append({ message: { n: 1 } });
+      await spool.close();
+      fs.appendFileSync(file, '{"message":{"n":');
+
+      const reopened = createSpool();
+      const send = jest.fn().mockResolvedValue(true);
+      await reopened.load();
+
+      expect(reopened.size).toBe(1);
+      await reopened.flush(send);
+      expect(send).toHaveBeenCalledWith({ message: { n: 1 } });
+
+      await reopened.append({ message: { n: 2 } });
+      await reopened.close();
+      expect(fs.readFileSync(file, "utf8")).toBe('{"message":{"n":2}}\n');
+    });
+
+    it("should stop flushing when the file holds fewer records than counted", async () => {
+      const spool = createSpool();
+      await spool.append({ message: { n: 1 } });
+      await spool.close();
+      fs.writeFileSync(file, "");
+
+      const send = jest.fn().mockResolvedValue();
+      await expect(spool.flush(send)).resolves.toBe(0);
+
+      expect(send).not.toHaveBeenCalled();
+      expect(spool.getStats()).toMatchObject({ depth: 0, bytes: 0 });
+      await spool.close();
+    });
+
+    it("should refuse records beyond the size cap", async () => {
+      const spool = createSpool({ maxSize: 40 });
+      await spool.append({ message: { text: "fits" } });
+
+      await expect(spool.append({ message: { text: "does not fit" } })).rejects.toThrow(
+        SpoolFullError
+      );
+      expect(spool.getStats()).toMatchObject({ depth: 1, rejected: 1 });
+      await spool.close();
+    });
+
+    it("should reject unknown fsync policies", () => {
+      expect(() => createSpool({ fsync: "sometimes" })).toThrow(
+        "Unknown spool fsync policy: sometimes"
+      );
+    });
+  });
+
+  describe("Publisher with the spool enabled", () => {
+    let mockChannel;
+    let publisher;
+    let savedState;
+
+    beforeEach(() => {
+      mockChannel = {
+        assertExchange: jest.fn().mockResolvedValue({}),
+        assertQueue: jest.fn().mockResolvedValue({}),
+        bindQueue: jest.fn().mockResolvedValue({}),
+        publish: jest.fn().mockReturnValue(true),
+        close: jest.fn().mockResolvedValue(),
+      };
+      jest.spyOn(rabbitMQConnection, "openChannel").mockResolvedValue(mockChannel);
+      savedState = rabbitMQConnection.state;
+      publisher = new Publisher({ spool: { enabled: true, file } });
+    });
+
+    afterEach(async () => {
+      await publisher.close();
+      rabbitMQConnection.state = savedState;
+      jest.restoreAllMocks();
+    });
+
+    const routingKeys = () => mockChannel.publish.mock.calls.map(([, routingKey]) => routingKey);
+
+    it("should spool while reconnecting and send in order once connected", async () => {
+      rabbitMQConnection.state = CONNECTION_STATES.RECONNECTING;
+
+      await expect(publisher.publish(new Message({}, "order.created"))).resolves.toBe(true);
+      await publisher.publish(new Message({}, "order.paid"));
+
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+      expect(publisher.getSpoolStats()).toMatchObject({ depth: 2, spooled: 2 });
+
+      jest.spyOn(rabbitMQConnection, "isConnected").mockReturnValue(true);
+      rabbitMQConnection.emit("stateChange", CONNECTION_STATES.CONNECTED);
+      await publisher.spool.flushing;
+
+      expect(routingKeys()).toEqual(["order.created", "order.paid"]);
+      expect(publisher.getSpoolStats()).toMatchObject({ depth: 0, flushed: 2 });
+    });
+
+    it("should queue new publishes behind spooled ones", async () => {
+      rabbitMQConnection.state = CONNECTION_STATES.RECONNECTING;
+      await publisher.publish(new Message({}, "order.created"));
+
+      rabbitMQConnection.state = CONNECTION_STATES.CONNECTED;
+      jest.spyOn(rabbitMQConnection, "isConnected").mockReturnValue(true);
+      await publisher.publish(new Message({}, "order.paid"));
+      await publisher.spool.flushing;
+
+      expect(routingKeys()).toEqual(["order.created", "order.paid"]);
+    });
+
+    it("should declare the delay queue of a spooled delayed message when sending it", async () => {
+      rabbitMQConnection.state = CONNECTION_STATES.RECONNECTING;
+
+      await expect(publisher.publishDelayed(new Message({}, "order.reminder"), 5000)).resolves.toBe(
+        true
+      );
+      expect(mockChannel.assertQueue).not.toHaveBeenCalled();
+
+      jest.spyOn(rabbitMQConnection, "isConnected").mockReturnValue(true);
+      rabbitMQConnection.emit("stateChange", CONNECTION_STATES.CONNECTED);
+      await publisher.spool.flushing;
+
+      const delayExchange = publisher.delayQueues.exchange;
+      expect(mockChannel.assertQueue.mock.calls[0][0]).toBe(`${delayExchange}.5000`);
+      expect(mockChannel.publish.mock.calls[0].slice(0, 2)).toEqual([
+        delayExchange,
+        "order.reminder",
+      ]);
+    });
+
+    it("should spool a publish that fails because the connection is down", async () => {
+      rabbitMQConnection.openChannel.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+      jest.spyOn(rabbitMQConnection, "isConnected").mockReturnValue(false);
+
+      await expect(publisher.publish(new Message({}, "order.created"))).resolves.toBe(true);
+
+      expect(publisher.getSpoolStats()).toMatchObject({ depth: 1 });
+    });
+
+    it("should not spool failures while connected", async () => {
+      mockChannel.publish.mockImplementationOnce(() => {
+        throw new Error("Channel closed");
+      });
+      jest.spyOn(rabbitMQConnection, "isConnected").mockReturnValue(true);
+
+      await expect(publisher.publish(new Message({}, "order.created"))).rejects.toThrow(
+        "Channel closed"
+      );
+      expect(publisher.getSpoolStats()).toMatchObject({ depth: 0 });
+    });
+  });
+});
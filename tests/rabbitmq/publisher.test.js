@@ -5,6 +5,15 @@ import { jest, describe, beforeEach, it, expect, afterEach } from "@jest/globals
 import { Publisher } from "../../src/rabbitmq/index.js";
 import { Message } from "../../src/models/index.js";
 import rabbitMQConnection from "../../src/rabbitmq/connection.js";
+import {
+  BackpressureError,
+  ConnectionBlockedError,
+  MessageQueueError,
+  SchemaValidationError,
+  UnroutableMessageError,
+  ValidationError,
+} from "../../src/utils/errors.js";
+import { EventEmitter } from "events";
 
 describe("Publisher", () => {
   let publisher;
@@ -19,10 +28,11 @@ describe("Publisher", () => {
     mockChannel = {
       assertExchange: jest.fn().mockResolvedValue({}),
       publish: jest.fn().mockReturnValue(true),
+      close: jest.fn().mockResolvedValue(),
     };
 
     // Use spyOn to mock the methods of the singleton
-    jest.spyOn(rabbitMQConnection, "createChannel").mockImplementation(() => {
+    jest.spyOn(rabbitMQConnection, "openChannel").mockImplementation(() => {
       return Promise.resolve(mockChannel);
     });
 
@@ -43,7 +53,9 @@ describe("Publisher", () => {
     it("should create channel and assert exchange", async () => {
       await publisher.initialize();
 
-      expect(rabbitMQConnection.createChannel).toHaveBeenCalled();
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalledWith(
+        expect.objectContaining({ confirm: false, purpose: "publish" })
+      );
       expect(mockChannel.assertExchange).toHaveBeenCalledWith(
         publisher.exchange,
         publisher.exchangeType,
@@ -53,12 +65,29 @@ describe("Publisher", () => {
 
     it("should handle initialization errors", async () => {
       const error = new Error("Connection failed");
-      rabbitMQConnection.createChannel.mockImplementationOnce(() => {
+      rabbitMQConnection.openChannel.mockImplementationOnce(() => {
         return Promise.reject(error);
       });
 
       await expect(publisher.initialize()).rejects.toThrow("Connection failed");
     });
+
+    it("should reuse its own channel across calls", async () => {
+      await publisher.initialize();
+      await publisher.publish("test message");
+
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalledTimes(1);
+    });
+
+    it("should open a new channel after its channel closed", async () => {
+      await publisher.initialize();
+
+      const [{ onClose }] = rabbitMQConnection.openChannel.mock.calls[0];
+      onClose();
+      await publisher.publish("test message");
+
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe("publish()", () => {
@@ -126,6 +155,22 @@ describe("Publisher", () => {
       );
     });
 
+    it("should route Messages by their type when no routing key is given", async () => {
+      await publisher.publish(new Message(testMessage, "order.created"));
+      await publisher.publish(new Message(testMessage, "order.created"), testRoutingKey);
+
+      expect(mockChannel.publish.mock.calls[0][1]).toBe("order.created");
+      expect(mockChannel.publish.mock.calls[1][1]).toBe(testRoutingKey);
+    });
+
+    it("should use the default routing key for every message when routing by type is off", async () => {
+      publisher = new Publisher({ routeByType: false });
+
+      await publisher.publish(new Message(testMessage, "order.created"));
+
+      expect(mockChannel.publish.mock.calls[0][1]).toBe(publisher.defaultRoutingKey);
+    });
+
     it("should merge custom options with defaults", async () => {
       const customOptions = { expiration: "1000", priority: 5 };
 
@@ -150,13 +195,634 @@ describe("Publisher", () => {
 
       await expect(publisher.publish(testMessage)).rejects.toThrow("Publish failed");
     });
+
+    it("should declare the exchange once per channel", async () => {
+      await publisher.publish(testMessage);
+      await publisher.publish(testMessage);
+      expect(mockChannel.assertExchange).not.toHaveBeenCalled();
+
+      // A new channel, e.g. after a reconnect, declares it again
+      const newChannel = { ...mockChannel, assertExchange: jest.fn().mockResolvedValue({}) };
+      rabbitMQConnection.openChannel.mockResolvedValueOnce(newChannel);
+      publisher.channelPromise = null;
+      await publisher.publish(testMessage);
+
+      expect(newChannel.assertExchange).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("publishBatch()", () => {
+    let mockConfirmChannel;
+    let confirms;
+
+    beforeEach(() => {
+      confirms = [];
+      mockConfirmChannel = {
+        assertExchange: jest.fn().mockResolvedValue({}),
+        publish: jest.fn((exchange, routingKey, content, options, callback) => {
+          confirms.push(callback);
+          return true;
+        }),
+        close: jest.fn().mockResolvedValue(),
+      };
+      rabbitMQConnection.openChannel.mockResolvedValue(mockConfirmChannel);
+
+      publisher = new Publisher({ confirm: true, confirmTimeout: 1000 });
+    });
+
+    // Ack every write once all of them are out, like one confirm round-trip
+    const ackWhenWritten = async (count, errors = []) => {
+      while (confirms.length < count) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      confirms.forEach((callback, index) => callback(errors[index] || null));
+    };
+
+    it("should write every message before waiting for confirms", async () => {
+      const messages = [1, 2, 3].map((n) => new Message({ n }, "order.created"));
+
+      const batch = publisher.publishBatch(messages);
+      await ackWhenWritten(3);
+      const { published, failed, results } = await batch;
+
+      expect(mockConfirmChannel.publish).toHaveBeenCalledTimes(3);
+      expect(mockConfirmChannel.assertExchange).toHaveBeenCalledTimes(1);
+      expect(published).toBe(3);
+      expect(failed).toBe(0);
+      expect(results.map((result) => result.message)).toEqual(messages);
+      expect(results.every((result) => result.success && result.error === null)).toBe(true);
+    });
+
+    it("should report invalid messages and still send the valid ones", async () => {
+      const valid = new Message({ n: 1 }, "order.created");
+      const invalidSchema = new Message({ id: "u1", email: "jane" }, "user.registered");
+
+      const batch = publisher.publishBatch([valid, { n: 2 }, invalidSchema]);
+      await ackWhenWritten(1);
+      const { published, failed, results } = await batch;
+
+      expect(mockConfirmChannel.publish).toHaveBeenCalledTimes(1);
+      expect(published).toBe(1);
+      expect(failed).toBe(2);
+      expect(results[0]).toMatchObject({ success: true, routingKey: "order.created" });
+      expect(results[1].error).toBeInstanceOf(ValidationError);
+      expect(results[1].error.message).toBe("Batch entries must be Message instances");
+      expect(results[2].error).toBeInstanceOf(SchemaValidationError);
+    });
+
+    it("should report a nacked message without failing the rest", async () => {
+      const messages = [1, 2].map((n) => new Message({ n }, "order.created"));
+
+      const batch = publisher.publishBatch(messages);
+      await ackWhenWritten(2, [null, new Error("nack")]);
+      const { results } = await batch;
+
+      expect(results[0].success).toBe(true);
+      expect(results[1].success).toBe(false);
+      expect(results[1].error).toBeInstanceOf(MessageQueueError);
+    });
+
+    it("should not count a message a middleware did not pass on as published", async () => {
+      const messages = [1, 2].map((n) => new Message({ n }, "order.created"));
+      publisher.use(async (ctx, next) => {
+        if (ctx.message.data.n !== 2) {
+          await next();
+        }
+      });
+
+      const batch = publisher.publishBatch(messages);
+      await ackWhenWritten(1);
+      const { published, failed, results } = await batch;
+
+      expect(mockConfirmChannel.publish).toHaveBeenCalledTimes(1);
+      expect(published).toBe(1);
+      expect(failed).toBe(1);
+      expect(results[1]).toMatchObject({ success: false, error: null });
+    });
+
+    it("should fail every message when no channel can be opened", async () => {
+      rabbitMQConnection.openChannel.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+
+      const { failed, results } = await publisher.publishBatch([
+        new Message({ n: 1 }, "order.created"),
+        new Message({ n: 2 }, "order.created"),
+      ]);
+
+      expect(failed).toBe(2);
+      expect(results.map((result) => result.error.message)).toEqual([
+        "ECONNREFUSED",
+        "ECONNREFUSED",
+      ]);
+    });
+  });
+
+  describe("publish() with confirms", () => {
+    let mockConfirmChannel;
+
+    beforeEach(() => {
+      mockConfirmChannel = {
+        assertExchange: jest.fn().mockResolvedValue({}),
+        publish: jest.fn((exchange, routingKey, content, options, callback) => {
+          setImmediate(() => callback(null));
+          return true;
+        }),
+        close: jest.fn().mockResolvedValue(),
+      };
+
+      rabbitMQConnection.openChannel.mockImplementation(({ confirm }) => {
+        return Promise.resolve(confirm ? mockConfirmChannel : mockChannel);
+      });
+
+      publisher = new Publisher({ confirm: true, confirmTimeout: 50 });
+    });
+
+    it("should use a confirm channel", async () => {
+      await publisher.initialize();
+
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalledWith(
+        expect.objectContaining({ confirm: true })
+      );
+      expect(mockConfirmChannel.assertExchange).toHaveBeenCalled();
+    });
+
+    it("should resolve once the broker acks the message", async () => {
+      await expect(publisher.publish({ hello: "world" })).resolves.toBe(true);
+
+      expect(mockConfirmChannel.publish).toHaveBeenCalledWith(
+        publisher.exchange,
+        publisher.defaultRoutingKey,
+        expect.any(Buffer),
+        publisher.defaultMessageOptions,
+        expect.any(Function)
+      );
+      expect(publisher.pendingConfirms.size).toBe(0);
+    });
+
+    it("should reject with a MessageQueueError when the broker nacks", async () => {
+      mockConfirmChannel.publish.mockImplementationOnce((e, r, c, o, callback) => {
+        setImmediate(() => callback(new Error("nack")));
+        return true;
+      });
+
+      const promise = publisher.publish({ hello: "world" });
+
+      await expect(promise).rejects.toBeInstanceOf(MessageQueueError);
+      await expect(promise).rejects.toThrow("nacked by the broker");
+    });
+
+    it("should reject with a MessageQueueError when the confirm times out", async () => {
+      mockConfirmChannel.publish.mockImplementationOnce(() => true);
+
+      await expect(publisher.publish({ hello: "world" })).rejects.toThrow(
+        "Publish confirm timed out after 50ms"
+      );
+      expect(publisher.pendingConfirms.size).toBe(0);
+    });
+
+    it("should wait for outstanding confirms before closing", async () => {
+      let ack;
+      mockConfirmChannel.publish.mockImplementationOnce((e, r, c, o, callback) => {
+        ack = () => callback(null);
+        return true;
+      });
+      publisher.confirmTimeout = 1000;
+
+      const publishPromise = publisher.publish({ hello: "world" });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(publisher.pendingConfirms.size).toBe(1);
+
+      const closePromise = publisher.close();
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(mockConfirmChannel.close).not.toHaveBeenCalled();
+
+      ack();
+      await closePromise;
+      await expect(publishPromise).resolves.toBe(true);
+      expect(mockConfirmChannel.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("publish() with mandatory", () => {
+    let mockConfirmChannel;
+
+    beforeEach(() => {
+      mockConfirmChannel = Object.assign(new EventEmitter(), {
+        assertExchange: jest.fn().mockResolvedValue({}),
+        assertQueue: jest.fn().mockResolvedValue({}),
+        bindQueue: jest.fn().mockResolvedValue({}),
+        publish: jest.fn((exchange, routingKey, content, options, callback) => {
+          setImmediate(() => callback(null));
+          return true;
+        }),
+        close: jest.fn().mockResolvedValue(),
+      });
+      rabbitMQConnection.openChannel.mockResolvedValue(mockConfirmChannel);
+
+      publisher = new Publisher({ mandatory: true });
+    });
+
+    it("should publish with the mandatory flag on a confirm channel", async () => {
+      await expect(publisher.publish({ hello: "world" })).resolves.toBe(true);
+
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalledWith(
+        expect.objectContaining({ confirm: true })
+      );
+      const options = mockConfirmChannel.publish.mock.calls[0][3];
+      expect(options.mandatory).toBe(true);
+      expect(options.headers).toBeUndefined();
+      expect(publisher.mandatoryPublishes.size).toBe(0);
+    });
+
+    it("should reject the publish the broker returned as unroutable", async () => {
+      // The broker sends basic.return before the ack of an unroutable message
+      mockConfirmChannel.publish.mockImplementationOnce((exchange, routingKey, c, options, cb) => {
+        setImmediate(() => {
+          mockConfirmChannel.emit("return", {
+            fields: { exchange, routingKey, replyCode: 312, replyText: "NO_ROUTE" },
+            properties: { headers: options.headers },
+            content: Buffer.from(c),
+          });
+          cb(null);
+        });
+        return true;
+      });
+
+      const promise = publisher.publish(new Message({}, "order.created"));
+
+      await expect(promise).rejects.toBeInstanceOf(UnroutableMessageError);
+      await expect(promise).rejects.toMatchObject({
+        exchange: publisher.exchange,
+        routingKey: "order.created",
+      });
+      await expect(publisher.publish({ hello: "world" })).resolves.toBe(true);
+    });
+
+    it("should declare the alternate exchange and its queue on initialize", async () => {
+      publisher.unroutable = { exchange: "ae", exchangeType: "fanout", queue: "ae.unroutable" };
+      jest.spyOn(rabbitMQConnection, "recordBinding");
+
+      await publisher.initialize();
+
+      expect(mockConfirmChannel.assertExchange).toHaveBeenCalledWith("ae", "fanout", {
+        durable: true,
+      });
+      expect(mockConfirmChannel.assertQueue).toHaveBeenCalledWith("ae.unroutable", {
+        durable: true,
+      });
+      expect(mockConfirmChannel.bindQueue).toHaveBeenCalledWith("ae.unroutable", "ae", "");
+      expect(rabbitMQConnection.recordBinding).toHaveBeenCalledWith("ae.unroutable", "ae", "");
+    });
+
+    it("should declare the alternate exchange again on a new channel", async () => {
+      publisher.unroutable = { exchange: "ae", exchangeType: "fanout", queue: "ae.unroutable" };
+      await publisher.publish({ hello: "world" });
+
+      // The channel closes, e.g. on a connection loss, and a reconnect opens a new one
+      const [{ onClose }] = rabbitMQConnection.openChannel.mock.calls[0];
+      onClose();
+      const { assertExchange, assertQueue, bindQueue, publish, close } = mockConfirmChannel;
+      rabbitMQConnection.openChannel.mockResolvedValueOnce(
+        Object.assign(new EventEmitter(), {
+          assertExchange,
+          assertQueue,
+          bindQueue,
+          publish,
+          close,
+        })
+      );
+      jest.clearAllMocks();
+      await publisher.publish({ hello: "world" });
+
+      expect(rabbitMQConnection.openChannel).toHaveBeenCalledTimes(1);
+      expect(mockConfirmChannel.assertExchange).toHaveBeenCalledWith("ae", "fanout", {
+        durable: true,
+      });
+      expect(mockConfirmChannel.assertQueue).toHaveBeenCalledWith("ae.unroutable", {
+        durable: true,
+      });
+      expect(mockConfirmChannel.bindQueue).toHaveBeenCalledWith("ae.unroutable", "ae", "");
+    });
+  });
+
+  describe("publish() with backpressure", () => {
+    let drainChannel;
+
+    const createPublisher = (policy) => {
+      publisher = new Publisher({
+        backpressure: { enabled: true, policy, maxBufferSize: 2 },
+      });
+    };
+
+    beforeEach(() => {
+      drainChannel = Object.assign(new EventEmitter(), {
+        assertExchange: jest.fn().mockResolvedValue({}),
+        publish: jest.fn().mockReturnValue(true),
+      });
+
+      rabbitMQConnection.openChannel.mockImplementation(() => Promise.resolve(drainChannel));
+    });
+
+    const published = () =>
+      drainChannel.publish.mock.calls.map(([, , content]) => JSON.parse(content.toString()).n);
+
+    it("should buffer publishes until the channel drains and flush them in order", async () => {
+      createPublisher("block");
+      drainChannel.publish.mockReturnValueOnce(false);
+
+      await publisher.publish({ n: 1 });
+      const second = publisher.publish({ n: 2 });
+      const third = publisher.publish({ n: 3 });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(published()).toEqual([1]);
+      expect(publisher.getBufferStats()).toMatchObject({ depth: 2, writable: false });
+
+      drainChannel.emit("drain");
+
+      await expect(second).resolves.toBe(true);
+      await expect(third).resolves.toBe(true);
+      expect(published()).toEqual([1, 2, 3]);
+      expect(publisher.getBufferStats()).toMatchObject({
+        depth: 0,
+        writable: true,
+        buffered: 2,
+        flushed: 2,
+        drainWaits: 1,
+      });
+    });
+
+    it("should block callers while the buffer is full", async () => {
+      createPublisher("block");
+      drainChannel.publish.mockReturnValueOnce(false);
+
+      await publisher.publish({ n: 1 });
+      const pending = [2, 3, 4].map((n) => publisher.publish({ n }));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(publisher.getBufferStats().depth).toBe(2);
+
+      drainChannel.emit("drain");
+      await Promise.all(pending);
+
+      expect(published()).toEqual([1, 2, 3, 4]);
+    });
+
+    it("should reject with a BackpressureError when the buffer is full", async () => {
+      createPublisher("reject");
+      drainChannel.publish.mockReturnValueOnce(false);
+
+      await publisher.publish({ n: 1 });
+      publisher.publish({ n: 2 });
+      publisher.publish({ n: 3 });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      await expect(publisher.publish({ n: 4 })).rejects.toBeInstanceOf(BackpressureError);
+      expect(publisher.getBufferStats().rejected).toBe(1);
+    });
+
+    it("should drop the oldest buffered message when the buffer is full", async () => {
+      createPublisher("drop-oldest");
+      drainChannel.publish.mockReturnValueOnce(false);
+
+      await publisher.publish({ n: 1 });
+      const dropped = expect(publisher.publish({ n: 2 })).rejects.toThrow(
+        "Message dropped from full outbound buffer"
+      );
+      const kept = [3, 4].map((n) => publisher.publish({ n }));
+
+      await dropped;
+
+      drainChannel.emit("drain");
+      await Promise.all(kept);
+
+      expect(published()).toEqual([1, 3, 4]);
+      expect(publisher.getBufferStats().dropped).toBe(1);
+    });
+
+    it("should reject publishes buffered for a channel that closed and publish on the next one", async () => {
+      createPublisher("block");
+      drainChannel.publish.mockReturnValueOnce(false);
+
+      await publisher.publish({ n: 1 });
+      const buffered = publisher.publish({ n: 2 });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const [{ onClose }] = rabbitMQConnection.openChannel.mock.calls[0];
+      const closedChannel = drainChannel;
+      drainChannel = Object.assign(new EventEmitter(), {
+        assertExchange: jest.fn().mockResolvedValue({}),
+        publish: jest.fn().mockReturnValue(true),
+      });
+      onClose();
+      closedChannel.emit("close");
+
+      await expect(buffered).rejects.toThrow("Channel closed before the buffered message was sent");
+      await expect(publisher.publish({ n: 3 })).resolves.toBe(true);
+      expect(published()).toEqual([3]);
+      expect(publisher.getBufferStats()).toMatchObject({ depth: 0, writable: true });
+    });
+
+    it("should reject instead of dropping when the buffer has no room at all", async () => {
+      publisher = new Publisher({
+        backpressure: { enabled: true, policy: "drop-oldest", maxBufferSize: 0 },
+      });
+      drainChannel.publish.mockReturnValueOnce(false);
+
+      await publisher.publish({ n: 1 });
+
+      await expect(publisher.publish({ n: 2 })).rejects.toBeInstanceOf(BackpressureError);
+      expect(publisher.getBufferStats()).toMatchObject({ dropped: 0, rejected: 1 });
+    });
+
+    it("should return null buffer stats when backpressure is disabled", () => {
+      expect(new Publisher().getBufferStats()).toBeNull();
+    });
+  });
+
+  describe("publish() while the connection is blocked", () => {
+    afterEach(() => {
+      rabbitMQConnection.handleUnblocked();
+    });
+
+    it("should fail fast with the fail policy", async () => {
+      publisher = new Publisher({ blockedPolicy: "fail" });
+      rabbitMQConnection.handleBlocked("low on memory");
+
+      const promise = publisher.publish({ hello: "world" });
+
+      await expect(promise).rejects.toBeInstanceOf(ConnectionBlockedError);
+      await expect(promise).rejects.toThrow("Connection blocked by broker: low on memory");
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+    });
+
+    it("should pause and resume on unblock with the queue policy", async () => {
+      publisher = new Publisher({ blockedPolicy: "queue", blockedTimeout: 0 });
+      rabbitMQConnection.handleBlocked("low on disk");
+
+      const first = publisher.publish({ n: 1 });
+      const second = publisher.publish({ n: 2 });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+
+      rabbitMQConnection.handleUnblocked();
+      await Promise.all([first, second]);
+
+      const published = mockChannel.publish.mock.calls.map(([, , content]) =>
+        JSON.parse(content.toString())
+      );
+      expect(published).toEqual([{ n: 1 }, { n: 2 }]);
+    });
+
+    it("should reject queued publishes when the block outlasts the timeout", async () => {
+      publisher = new Publisher({ blockedPolicy: "queue", blockedTimeout: 20 });
+      rabbitMQConnection.handleBlocked("low on disk");
+
+      await expect(publisher.publish({ hello: "world" })).rejects.toBeInstanceOf(
+        ConnectionBlockedError
+      );
+    });
+  });
+
+  describe("middleware", () => {
+    it("should let middleware stamp headers before the message is sent", async () => {
+      publisher.use(async (ctx, next) => {
+        ctx.options.headers = { ...ctx.options.headers, "x-source": "test" };
+        await next();
+      });
+
+      const headers = { "x-trace-id": "abc" };
+      await publisher.publish({ hello: "world" }, "test.key", { headers });
+
+      expect(mockChannel.publish).toHaveBeenCalledWith(
+        publisher.exchange,
+        "test.key",
+        expect.any(Buffer),
+        expect.objectContaining({
+          persistent: true,
+          headers: { "x-trace-id": "abc", "x-source": "test" },
+        })
+      );
+      // The caller's headers object is left untouched
+      expect(headers).toEqual({ "x-trace-id": "abc" });
+    });
+
+    it("should run middleware in order and expose the publish result", async () => {
+      const calls = [];
+
+      publisher
+        .use(async (ctx, next) => {
+          calls.push("first");
+          await next();
+          calls.push(`first:after:${ctx.result}`);
+        })
+        .use(async (ctx, next) => {
+          calls.push("second");
+          ctx.routingKey = "rewritten.key";
+          await next();
+        });
+
+      const result = await publisher.publish("test message");
+
+      expect(result).toBe(true);
+      expect(calls).toEqual(["first", "second", "first:after:true"]);
+      expect(mockChannel.publish.mock.calls[0][1]).toBe("rewritten.key");
+    });
+
+    it("should not publish when middleware throws", async () => {
+      publisher.use(async () => {
+        throw new Error("missing tenant header");
+      });
+
+      await expect(publisher.publish("test message")).rejects.toThrow("missing tenant header");
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("schema validation", () => {
+    it("should publish messages whose data matches the schema", async () => {
+      const message = new Message(
+        { id: "u1", email: "jane@example.com", name: "Jane" },
+        "user.registered"
+      );
+
+      await expect(publisher.publish(message)).resolves.toBe(true);
+    });
+
+    it("should refuse messages whose data does not match the schema", async () => {
+      const message = new Message({ id: "u1", email: "jane" }, "user.registered");
+
+      const error = await publisher.publish(message).catch((err) => err);
+
+      expect(error).toBeInstanceOf(SchemaValidationError);
+      expect(error.statusCode).toBe(400);
+      expect(error.errors).toEqual(expect.arrayContaining(['/email must match format "email"']));
+      expect(mockChannel.publish).not.toHaveBeenCalled();
+    });
+
+    it("should skip validation when disabled", async () => {
+      publisher = new Publisher({ validation: false });
+
+      await publisher.publish(new Message({}, "user.registered"));
+
+      expect(mockChannel.publish).toHaveBeenCalled();
+    });
   });
 
   describe("close()", () => {
-    it("should close the connection", async () => {
+    it("should close its own channel but not the shared connection", async () => {
+      await publisher.initialize();
       await publisher.close();
 
-      expect(rabbitMQConnection.close).toHaveBeenCalled();
+      expect(mockChannel.close).toHaveBeenCalled();
+      expect(rabbitMQConnection.close).not.toHaveBeenCalled();
+    });
+
+    it("should do nothing when no channel was opened", async () => {
+      await publisher.close();
+
+      expect(mockChannel.close).not.toHaveBeenCalled();
+    });
+
+    it("should wait for publishes paused by a blocked connection", async () => {
+      rabbitMQConnection.blocked = true;
+      rabbitMQConnection.blockedReason = "low on memory";
+
+      const publishing = publisher.publish("test message");
+      const closing = publisher.close({ timeout: 1000 });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(mockChannel.close).not.toHaveBeenCalled();
+
+      rabbitMQConnection.handleUnblocked();
+      await Promise.all([publishing, closing]);
+
+      expect(mockChannel.publish).toHaveBeenCalled();
+      expect(mockChannel.close).toHaveBeenCalled();
+    });
+
+    it("should close anyway once the timeout expires", async () => {
+      publisher.pendingPublishes.add(new Promise(() => {}));
+      await publisher.initialize();
+
+      await expect(publisher.waitForPublishes(20)).resolves.toBe(false);
+      await publisher.close({ timeout: 20 });
+
+      expect(mockChannel.close).toHaveBeenCalled();
+    });
+
+    it("should not wait for a channel still being opened, and close it once open", async () => {
+      let openChannel;
+      rabbitMQConnection.openChannel.mockReturnValueOnce(
+        new Promise((resolve) => (openChannel = resolve))
+      );
+      const publishing = publisher.publish("test message").catch(() => {});
+
+      await publisher.close({ timeout: 20 });
+      expect(mockChannel.close).not.toHaveBeenCalled();
+
+      openChannel(mockChannel);
+      await publishing;
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(mockChannel.close).toHaveBeenCalled();
     });
   });
 });
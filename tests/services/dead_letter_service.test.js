@@ -0,0 +1,224 @@
+/**
+ * Dead Letter Service Tests
+ *
+ * Test suite for listing, inspecting, replaying and purging
+ * dead-lettered messages.
+ */
+import { jest, describe, beforeEach, afterEach, it, expect } from "@jest/globals";
+import { DeadLetterService } from "../../src/services/dead_letter_service.js";
+import { Message } from "../../src/models/index.js";
+import { NotFoundError, UnhandledMessageError } from "../../src/utils/errors.js";
+import rabbitMQConnection from "../../src/rabbitmq/connection.js";
+import { Consumer } from "../../src/rabbitmq/index.js";
+
+/**
+ * Build an amqplib-style message as it sits in the dead-letter queue
+ */
+const deadLetter = (message, headers = {}) => ({
+  fields: { exchange: "message_exchange.dlx", routingKey: "message.new" },
+  properties: {
+    contentType: "application/json",
+    headers: {
+      "x-death": [
+        {
+          count: 1,
+          reason: "rejected",
+          queue: "message_queue",
+          time: 1700000000,
+          exchange: "message_exchange",
+          "routing-keys": ["message.new"],
+        },
+      ],
+      ...headers,
+    },
+  },
+  content: Buffer.from(JSON.stringify(message)),
+});
+
+describe("DeadLetterService", () => {
+  let service;
+  let mockChannel;
+  let queued;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    first = new Message({ n: 1 }, "user.registered");
+    second = new Message({ n: 2 }, "user.registered");
+    queued = [
+      deadLetter(first.toJSON(), { "x-last-error": "SMTP down" }),
+      deadLetter(second.toJSON()),
+    ];
+
+    mockChannel = {
+      get: jest.fn().mockImplementation(() => Promise.resolve(queued.shift() || false)),
+      publish: jest.fn().mockReturnValue(true),
+      waitForConfirms: jest.fn().mockResolvedValue(),
+      ack: jest.fn(),
+      purgeQueue: jest.fn().mockResolvedValue({ messageCount: 2 }),
+      close: jest.fn().mockResolvedValue(),
+    };
+
+    jest.spyOn(rabbitMQConnection, "openChannel").mockResolvedValue(mockChannel);
+
+    service = new DeadLetterService({ queue: "message_queue.dlq", maxScan: 10 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should list messages with headers and failure reasons without acking them", async () => {
+    const messages = await service.list();
+
+    expect(rabbitMQConnection.openChannel).toHaveBeenCalledWith(
+      expect.objectContaining({ confirm: true })
+    );
+    expect(mockChannel.get).toHaveBeenCalledWith("message_queue.dlq", { noAck: false });
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toMatchObject({
+      messageId: first.id,
+      message: { id: first.id, type: "user.registered", data: { n: 1 } },
+      origin: { exchange: "message_exchange", routingKey: "message.new" },
+      failure: {
+        reason: "rejected",
+        queue: "message_queue",
+        count: 1,
+        time: "2023-11-14T22:13:20.000Z",
+        lastError: "SMTP down",
+      },
+    });
+    expect(messages[0].headers["x-last-error"]).toBe("SMTP down");
+
+    // Closing the channel returns the unacked messages to the queue
+    expect(mockChannel.ack).not.toHaveBeenCalled();
+    expect(mockChannel.close).toHaveBeenCalled();
+  });
+
+  it("should respect the list limit", async () => {
+    const messages = await service.list(1);
+
+    expect(messages).toHaveLength(1);
+    expect(mockChannel.get).toHaveBeenCalledTimes(1);
+  });
+
+  it("should fetch a message by id", async () => {
+    const message = await service.getById(second.id);
+
+    expect(message.messageId).toBe(second.id);
+    expect(message.failure.lastError).toBeNull();
+  });
+
+  it("should throw NotFoundError for an unknown message id", async () => {
+    await expect(service.getById("missing")).rejects.toThrow(NotFoundError);
+    expect(mockChannel.close).toHaveBeenCalled();
+  });
+
+  it("should replay one message to the queue it failed in and ack it after the confirm", async () => {
+    const result = await service.replay(second.id);
+
+    expect(result).toEqual({
+      messageId: second.id,
+      queue: "message_queue",
+      exchange: "message_exchange",
+      routingKey: "message.new",
+    });
+    expect(mockChannel.publish).toHaveBeenCalledTimes(1);
+
+    // Through the default exchange, so no other queue bound to the exchange gets it again
+    const [exchange, routingKey, content, options] = mockChannel.publish.mock.calls[0];
+    expect(exchange).toBe("");
+    expect(routingKey).toBe("message_queue");
+    expect(JSON.parse(content.toString()).id).toBe(second.id);
+    expect(options.headers["x-death"]).toBeUndefined();
+    expect(options.headers["x-replayed-at"]).toEqual(expect.any(String));
+
+    expect(mockChannel.waitForConfirms).toHaveBeenCalled();
+    expect(mockChannel.ack).toHaveBeenCalledTimes(1);
+    expect(mockChannel.ack.mock.calls[0][0].content).toBe(content);
+  });
+
+  it("should not ack a message whose replay was not confirmed", async () => {
+    mockChannel.waitForConfirms.mockRejectedValueOnce(new Error("nacked"));
+
+    await expect(service.replay(first.id)).rejects.toThrow("nacked");
+    expect(mockChannel.ack).not.toHaveBeenCalled();
+  });
+
+  it("should prefer the original destination recorded by the retry manager", async () => {
+    queued = [
+      deadLetter(first.toJSON(), {
+        "x-retry-count": 2,
+        "x-original-exchange": "orders",
+        "x-original-routing-key": "order.created",
+        "x-original-queue": "message_exchange.billing",
+      }),
+    ];
+
+    const result = await service.replay(first.id);
+
+    expect(result).toMatchObject({
+      queue: "message_exchange.billing",
+      exchange: "orders",
+      routingKey: "order.created",
+    });
+    const [exchange, routingKey, , options] = mockChannel.publish.mock.calls[0];
+    expect(exchange).toBe("");
+    expect(routingKey).toBe("message_exchange.billing");
+    expect(options.headers["x-retry-count"]).toBeUndefined();
+  });
+
+  it("should replay to the original exchange when the failed queue is unknown", async () => {
+    const msg = deadLetter(first.toJSON(), {
+      "x-original-exchange": "orders",
+      "x-original-routing-key": "order.created",
+    });
+    delete msg.properties.headers["x-death"];
+    queued = [msg];
+
+    await service.replay(first.id);
+
+    expect(mockChannel.publish.mock.calls[0].slice(0, 2)).toEqual(["orders", "order.created"]);
+  });
+
+  it("should replay a message the consumer dead-lettered for having no handler", async () => {
+    const consumerChannel = { publish: jest.fn().mockReturnValue(true), ack: jest.fn() };
+    const delivered = {
+      fields: { exchange: "message_exchange", routingKey: "invoice.paid" },
+      properties: { messageId: first.id, headers: {} },
+      content: Buffer.from(JSON.stringify(first.toJSON())),
+    };
+    const consumer = new Consumer({ service: "billing" });
+    await consumer.settleUnhandled(
+      consumerChannel,
+      delivered,
+      new UnhandledMessageError("invoice.paid", "dead-letter")
+    );
+    const [dlx, deadRoutingKey, content, properties] = consumerChannel.publish.mock.calls[0];
+    queued = [{ fields: { exchange: dlx, routingKey: deadRoutingKey }, properties, content }];
+
+    const result = await service.replay(first.id);
+
+    expect(result).toMatchObject({
+      queue: consumer.queue,
+      exchange: "message_exchange",
+      routingKey: "invoice.paid",
+    });
+    expect(mockChannel.publish.mock.calls[0].slice(0, 2)).toEqual(["", consumer.queue]);
+  });
+
+  it("should replay all messages", async () => {
+    const result = await service.replayAll();
+
+    expect(result).toEqual({ replayed: 2 });
+    expect(mockChannel.publish).toHaveBeenCalledTimes(2);
+    expect(mockChannel.ack).toHaveBeenCalledTimes(2);
+  });
+
+  it("should purge the dead-letter queue", async () => {
+    const result = await service.purge();
+
+    expect(mockChannel.purgeQueue).toHaveBeenCalledWith("message_queue.dlq");
+    expect(result).toEqual({ purged: 2 });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * User Service Tests
+ *
+ * Test suite for user registration through the transactional outbox,
+ * using a fake publisher instead of a broker.
+ */
+import { jest, describe, beforeEach, afterEach, it, expect } from "@jest/globals";
+import { UserService } from "../../src/services/user_service.js";
+import { MemoryOutboxStore, OUTBOX_COLLECTION } from "../../src/rabbitmq/outbox_store.js";
+import { Message } from "../../src/models/index.js";
+import { ValidationError } from "../../src/utils/errors.js";
+
+describe("UserService", () => {
+  let store;
+  let publisher;
+  let service;
+
+  const userData = { email: "ada@example.com", name: "Ada Lovelace" };
+
+  beforeEach(() => {
+    store = new MemoryOutboxStore();
+    publisher = {
+      initialize: jest.fn().mockResolvedValue(),
+      publish: jest.fn().mockResolvedValue(true),
+      close: jest.fn().mockResolvedValue(),
+    };
+    service = new UserService({ store, publisher, relay: { interval: 10, retryDelay: 10 } });
+  });
+
+  afterEach(async () => {
+    await service.close();
+  });
+
+  it("should store the user and its registration event together, then publish the event", async () => {
+    const user = await service.registerUser(userData);
+    await service.relay.running;
+
+    expect(await service.getUserById(user.id)).toMatchObject({
+      id: user.id,
+      email: userData.email,
+    });
+    expect(publisher.publish).toHaveBeenCalledTimes(1);
+
+    const [message] = publisher.publish.mock.calls[0];
+    expect(message).toBeInstanceOf(Message);
+    expect(message.type).toBe("user.registered");
+    expect(message.data).toEqual(user.toJSON());
+    // Sent events are deleted from the outbox
+    expect(await store.get(OUTBOX_COLLECTION, message.id)).toBeNull();
+  });
+
+  it("should keep the event and retry it when the publish fails", async () => {
+    publisher.publish.mockRejectedValueOnce(new Error("Broker unreachable"));
+
+    const user = await service.registerUser(userData);
+    await service.relay.running;
+
+    expect(await service.getUserById(user.id)).not.toBeNull();
+    expect(await service.relay.getStats()).toMatchObject({ pending: 1, failures: 1 });
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await service.relay.notify();
+
+    expect(publisher.publish).toHaveBeenCalledTimes(2);
+    expect(await service.relay.getStats()).toMatchObject({ pending: 0, published: 1 });
+  });
+
+  it("should store neither the user nor the event when the write fails", async () => {
+    jest.spyOn(store, "save").mockRejectedValueOnce(new Error("Disk full"));
+
+    await expect(service.registerUser(userData)).rejects.toThrow("Disk full");
+
+    expect(await service.getAllUsers()).toEqual([]);
+    expect(await store.values(OUTBOX_COLLECTION)).toEqual([]);
+    expect(publisher.publish).not.toHaveBeenCalled();
+  });
+
+  it("should start without the broker and publish once it is back", async () => {
+    publisher.initialize.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+    publisher.publish.mockRejectedValueOnce(new Error("ECONNREFUSED"));
+
+    await expect(service.initialize()).resolves.toBe(false);
+    await service.registerUser(userData);
+    await service.relay.running;
+    expect(await service.relay.getStats()).toMatchObject({ pending: 1 });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(await service.relay.getStats()).toMatchObject({ pending: 0, published: 1 });
+  });
+
+  it("should reject invalid users without storing anything", async () => {
+    await expect(service.registerUser({ email: "ada@example.com", name: "A" })).rejects.toThrow(
+      ValidationError
+    );
+
+    expect(await store.values(OUTBOX_COLLECTION)).toEqual([]);
+  });
+});